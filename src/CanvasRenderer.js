@@ -0,0 +1,468 @@
+/* global window, document */
+//------------------------------------------------------------------------------
+// Copyright Jonathan Kaufman 2015
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//------------------------------------------------------------------------------
+
+import * as d3 from 'd3';
+import { getLabelLines } from './fitLabel';
+
+// How much bigger a pulsing bubble gets, relative to its radius
+export const PULSE_SCALE = 0.2;
+
+/**
+ * Draws bubbles and their labels on a single <canvas> instead of a <circle>
+ * and a <div> per bubble, which keeps charts with thousands of bubbles fast.
+ *
+ * ReactBubbleChartD3 lays out the nodes and figures out their styles, this
+ * only animates them, draws them and tells which one is under the mouse.
+ * Every bubble is an item that goes from one state to the next:
+ *   { x, y, r, fill, opacity, color, textOpacity, fontSize }
+ * All of the transitions run off of one d3.timer. Images and patterns are
+ * drawn over the fill once they are there, they don't transition.
+ */
+export default class CanvasRenderer {
+  constructor(containerElement, beforeElement) {
+    this.canvas = d3.select(containerElement)
+      .insert('canvas', () => beforeElement)
+      .attr('class', 'bubble-chart-canvas')
+      .style('position', 'absolute');
+    this.context = this.canvas.node().getContext('2d');
+    this.fontFamily = 'sans-serif';
+    this.ease = d3.easeCubic;
+    this.width = 0;
+    this.height = 0;
+    this.items = new Map();
+    this.order = [];
+    this.images = new Map();
+    this.patterns = new Map();
+    this._imageLoaded = () => this.draw();
+  }
+
+  /**
+   * Size and position the canvas to cover the rectangle the bubbles are drawn
+   * in, taking high density screens into account
+   */
+  resize({ left, top, width, height }) {
+    const ratio = window.devicePixelRatio || 1;
+    this.width = width;
+    this.height = height;
+    this.canvas
+      .attr('width', width * ratio)
+      .attr('height', height * ratio)
+      .style('width', width + 'px')
+      .style('height', height + 'px')
+      .style('left', left + 'px')
+      .style('top', top + 'px');
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    this.draw();
+  }
+
+  /**
+   * Same as a d3 data join: entries whose key is new enter from their `enter`
+   * state, existing ones move to their `target` state after their `delay` and
+   * the ones that are gone go to their `exitState` and are removed.
+   *
+   * @param {Object[]} entries Bubbles, by key
+   * @param {Object} options Transition options
+   */
+  update(entries, { duration, ease, exitState }) {
+    const now = d3.now();
+    this.ease = ease;
+    const keys = new Set(entries.map(entry => entry.key));
+
+    const exiting = [];
+    for (const item of this.items.values()) {
+      if (!keys.has(item.key)) {
+        if (!item.exiting) {
+          item.exiting = true;
+          item.hit = false;
+          this._animate(item, {
+            ...this._current(item, now),
+            textOpacity: 0,
+            ...exitState(item.d),
+          }, { start: now, duration });
+        }
+
+        exiting.push(item);
+      }
+    }
+
+    const current = entries.map(entry => {
+      let item = this.items.get(entry.key);
+      if (item) {
+        item.exiting = false;
+        this._animate(item, entry.target, { start: now + entry.delay, duration });
+      } else {
+        item = { key: entry.key, state: entry.enter };
+        this.items.set(entry.key, item);
+        this._animate(item, entry.target, { start: now, duration: duration * 1.2 });
+      }
+
+      item.d = entry.d;
+      item.text = entry.text;
+      item.top = entry.top;
+      item.below = entry.below;
+      item.fillPattern = entry.fillPattern;
+      item.fit = entry.fit;
+      item.hit = entry.hit;
+      return item;
+    });
+
+    this.order = exiting.concat(current);
+    this.order.forEach((item, i) => {
+      item.index = i;
+    });
+    delete this.quadtree;
+    this._start();
+  }
+
+  /**
+   * Jump every bubble to the current position of its node, used while a force
+   * simulation is running
+   */
+  syncPositions() {
+    for (const item of this.items.values()) {
+      if (!item.exiting) {
+        item.state = { ...item.to, x: item.d.x, y: item.d.y };
+        item.to = item.state;
+        delete item.interpolate;
+      }
+    }
+
+    delete this.quadtree;
+    this.draw();
+  }
+
+  /**
+   * Jump every bubble to the end of its transition, the exiting ones are
+   * removed right away
+   */
+  finish() {
+    for (const item of this.items.values()) {
+      if (item.exiting) {
+        this.items.delete(item.key);
+      } else if (item.interpolate) {
+        item.state = item.to;
+        delete item.interpolate;
+      }
+
+      delete item.pulse;
+    }
+
+    this.order = this.order.filter(item => this.items.has(item.key));
+    this.order.forEach((item, i) => {
+      item.index = i;
+    });
+    delete this.quadtree;
+    this._stop();
+    this.draw();
+  }
+
+  /**
+   * Briefly grow the bubble with the given key and shrink it back, on top of
+   * whatever transition it is in
+   *
+   * @param {string} key Bubble key
+   * @param {Object} options Start and duration
+   */
+  pulse(key, { start, duration }) {
+    const item = this.items.get(key);
+    if (item) {
+      item.pulse = { start, duration };
+      this._start();
+    }
+  }
+
+  /**
+   * Find the topmost bubble containing the given point, if any, where the
+   * bubbles are drawn right now
+   *
+   * @param {number} x Canvas x
+   * @param {number} y Canvas y
+   * @returns {Object} The node, if any
+   */
+  nodeAt(x, y) {
+    if (!this.quadtree) {
+      const items = this.order.filter(item => item.hit);
+      this.maxRadius = d3.max(items, item => item.state.r) || 0;
+      this.quadtree = d3.quadtree()
+        .x(item => item.state.x)
+        .y(item => item.state.y)
+        .addAll(items);
+    }
+
+    // Circles may be bigger than the quadtree cells, so look at every center
+    // that is less than the biggest radius away
+    const r = this.maxRadius;
+    let found;
+    this.quadtree.visit((quad, ...extent) => {
+      const [ x0, y0, x1, y1 ] = extent;
+      // Internal nodes are arrays of their four quadrants, leaves hold items
+      if (!Array.isArray(quad)) {
+        do {
+          const item = quad.data;
+          const { x: cx, y: cy, r: cr } = item.state;
+          if ((x - cx) * (x - cx) + (y - cy) * (y - cy) <= cr * cr &&
+            (!found || item.index > found.index)) {
+            found = item;
+          }
+        } while ((quad = quad.next));
+      }
+
+      return x0 > x + r || x1 < x - r || y0 > y + r || y1 < y - r;
+    });
+
+    return found && found.d;
+  }
+
+  draw() {
+    const ctx = this.context;
+    ctx.clearRect(0, 0, this.width, this.height);
+    ctx.textAlign = 'center';
+
+    for (const item of this.order) {
+      const { x, y, fill, opacity, color, textOpacity, fontSize } = item.state;
+      const r = item.state.r * this._pulseScale(item);
+      if (!(r > 0)) {
+        continue;
+      }
+
+      if (opacity > 0) {
+        ctx.globalAlpha = opacity;
+        ctx.fillStyle = fill;
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, 2 * Math.PI);
+        ctx.fill();
+        this._fillPattern(item, x, y, r);
+      }
+
+      if (item.text && textOpacity > 0 && fontSize > 0) {
+        ctx.save();
+        ctx.globalAlpha = textOpacity;
+        ctx.fillStyle = color;
+        ctx.font = fontSize + 'px ' + this.fontFamily;
+        if (item.top) {
+          // Parent labels sit along the top edge of their circle
+          ctx.textBaseline = 'top';
+          ctx.fillText(item.text, x, y - r + fontSize / 2);
+        } else if (item.below) {
+          ctx.textBaseline = 'top';
+          ctx.fillText(item.text, x, y + r + 2);
+        } else {
+          // Like the label divs, hide whatever does not fit in the circle
+          ctx.beginPath();
+          ctx.arc(x, y, r, 0, 2 * Math.PI);
+          ctx.clip();
+          ctx.textBaseline = 'middle';
+          this._fillLines(item, x, y, fontSize);
+        }
+
+        ctx.restore();
+      }
+    }
+
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Cover the circle that was just filled with its image, cropped to it, or
+   * with its pattern. Images are drawn once they have loaded.
+   *
+   * @param {Object} item Bubble
+   * @param {number} x Center x
+   * @param {number} y Center y
+   * @param {number} r Radius
+   */
+  _fillPattern(item, x, y, r) {
+    const fill = item.fillPattern;
+    const ctx = this.context;
+    if (!fill) {
+      return;
+    }
+
+    if (fill.type !== 'image') {
+      ctx.fillStyle = this._getPattern(fill);
+      ctx.fill();
+      return;
+    }
+
+    const image = this._getImage(fill.href);
+    if (image.complete && image.naturalWidth > 0) {
+      // Scaled to cover the circle, like preserveAspectRatio slice
+      const k = 2 * r / Math.min(image.naturalWidth, image.naturalHeight);
+      const width = image.naturalWidth * k;
+      const height = image.naturalHeight * k;
+      ctx.save();
+      ctx.clip();
+      ctx.drawImage(image, x - width / 2, y - height / 2, width, height);
+      ctx.restore();
+    }
+  }
+
+  _getImage(href) {
+    if (!this.images.has(href)) {
+      const image = new window.Image();
+      image.addEventListener('load', this._imageLoaded);
+      image.src = href;
+      this.images.set(href, image);
+    }
+
+    return this.images.get(href);
+  }
+
+  /**
+   * A canvas pattern of a tile drawn like the <pattern> of getPatternFill
+   *
+   * @param {Object} fill Pattern fill
+   * @returns {CanvasPattern} Canvas pattern
+   */
+  _getPattern(fill) {
+    if (!this.patterns.has(fill.id)) {
+      const tile = document.createElement('canvas');
+      tile.width = fill.size;
+      tile.height = fill.size;
+      const ctx = tile.getContext('2d');
+      ctx.fillStyle = fill.color;
+      ctx.fillRect(0, 0, fill.size, fill.size);
+      const marks = new window.Path2D(fill.d);
+      if (fill.stroke) {
+        ctx.strokeStyle = fill.markColor;
+        ctx.lineWidth = 1.5;
+        ctx.stroke(marks);
+      } else {
+        ctx.fillStyle = fill.markColor;
+        ctx.fill(marks);
+      }
+
+      this.patterns.set(fill.id, this.context.createPattern(tile, 'repeat'));
+    }
+
+    return this.patterns.get(fill.id);
+  }
+
+  /**
+   * Fitted labels are drawn line by line, scaled with the font size
+   *
+   * @param {Object} item Bubble
+   * @param {number} x Center x
+   * @param {number} y Center y
+   * @param {number} fontSize Font size
+   */
+  _fillLines(item, x, y, fontSize) {
+    const ctx = this.context;
+    if (!item.fit) {
+      ctx.fillText(item.text, x, y);
+      return;
+    }
+
+    for (const line of getLabelLines(item.fit, fontSize)) {
+      ctx.font = line.fontSize + 'px ' + this.fontFamily;
+      ctx.fillText(line.text, x, y + line.y);
+    }
+  }
+
+  destroy() {
+    this._stop();
+    this.canvas.remove();
+    this.items.clear();
+    this.order = [];
+    for (const image of this.images.values()) {
+      image.removeEventListener('load', this._imageLoaded);
+    }
+
+    this.images.clear();
+    this.patterns.clear();
+  }
+
+  _animate(item, to, { start, duration }) {
+    item.state = { ...this._current(item, d3.now()) };
+    item.to = to;
+    item.interpolate = d3.interpolate(item.state, to);
+    item.start = start;
+    item.duration = duration;
+  }
+
+  _pulseScale(item) {
+    if (!item.pulse) {
+      return 1;
+    }
+
+    const { start, duration } = item.pulse;
+    const t = duration > 0 ? (d3.now() - start) / duration : 1;
+    if (t >= 1) {
+      delete item.pulse;
+      return 1;
+    }
+
+    return t > 0 ? 1 + PULSE_SCALE * Math.sin(Math.PI * t) : 1;
+  }
+
+  _current(item, now) {
+    if (!item.interpolate) {
+      return item.state;
+    }
+
+    const t = item.duration > 0 ? Math.max(0, Math.min(1, (now - item.start) / item.duration)) : 1;
+    // Same easing as the d3 transitions
+    return item.interpolate(this.ease(t));
+  }
+
+  _start() {
+    if (!this.timer) {
+      this.timer = d3.timer(this._tick.bind(this));
+    }
+  }
+
+  _stop() {
+    if (this.timer) {
+      this.timer.stop();
+      delete this.timer;
+    }
+  }
+
+  /**
+   * One frame for all of the bubbles, stop once every transition has ended
+   */
+  _tick() {
+    const now = d3.now();
+    let running = false;
+    for (const item of this.items.values()) {
+      if (item.pulse) {
+        running = true;
+      }
+
+      if (item.interpolate) {
+        item.state = this._current(item, now);
+        // The bubbles moved, so the quadtree has to be built again
+        delete this.quadtree;
+        if (now >= item.start + item.duration) {
+          item.state = { ...item.state };
+          delete item.interpolate;
+          if (item.exiting) {
+            this.items.delete(item.key);
+          }
+        } else {
+          running = true;
+        }
+      }
+    }
+
+    this.draw();
+    this.order = this.order.filter(item => this.items.has(item.key));
+    if (!running) {
+      this._stop();
+    }
+  }
+}
@@ -1,4 +1,4 @@
-/* global window */
+/* global window, ResizeObserver */
 //------------------------------------------------------------------------------
 // Copyright Jonathan Kaufman Corp. 2015
 //
@@ -16,7 +16,16 @@
 //------------------------------------------------------------------------------
 
 import React from 'react';
+import ReactDOM from 'react-dom';
 import ReactBubbleChartD3 from './ReactBubbleChartD3';
+import computeBubbleLayout, { getFramesDomain, getLabelText } from './computeBubbleLayout';
+import { exportSVG, exportPNG } from './exportChart';
+import { getPatternFill, toFill } from './patterns';
+
+// Every chart needs its own prefix for the ids of its fills, unless given one
+let chartCount = 0;
+
+export { computeBubbleLayout };
 
 // Description of props!
 
@@ -27,7 +36,10 @@ import ReactBubbleChartD3 from './ReactBubbleChartD3';
 //    value: number,      // used to determine relative size of bubbles (required)
 //    displayText: string,// will use _id if undefined
 //    colorValue: number, // used to determine color
+//    colorKey: string,   // used to determine color with a categorical colorScale
 //    selected: boolean,  // if true will use selectedColor/selectedTextColor for circle/text
+//    group: string,      // used to cluster bubbles in force layout
+//    image: string,      // URL of an image to fill the bubble with
 // }
 //
 // Can also be a nested JSON object if you want a nested bubble chart. That would look like:
@@ -42,8 +54,54 @@ import ReactBubbleChartD3 from './ReactBubbleChartD3';
 //     }
 //   ]
 
+// idAccessor, valueAccessor, labelAccessor, colorAccessor, selectedAccessor,
+// childrenAccessor, imageAccessor (optional)
+// Read the data objects in some other shape than the one above. Each one is
+// either the key of the field to read, or a function of the data object that
+// returns it. They default to `_id`, `value`, `displayText`, `colorValue` (or
+// `colorKey` with a categorical colorScale), `selected`, `children` and `image`. The
+// chart still passes the data objects as they are to the callbacks, as
+// `d.data`, and the id it read is `d.id`. Functions should be defined once
+// rather than on every render, or the chart is laid out all over again.
+
+// validation (optional)
+// The data is checked whenever it changes, for duplicate and missing `_id`s,
+// negative or non-numeric `value`s, missing `colorValue`s (or `colorKey`s with a
+// categorical colorScale) and an empty colorLegend array. Colors are only
+// checked with a colorLegend or a colorScale. `warn` (default) warns about
+// them in development, naming the offending ids, `strict` throws an Error with
+// the problems as its `problems` property, `sanitize` warns and drops the data
+// objects that have them, or clamps negative values to 0. `off` doesn't check.
+
+// onDataError
+// Called with the array of problems found in the data, each one of them
+// `{ type, ids, message }`, in every validation mode but `off`.
+
 // legend (optional)
-// boolean. if true, create and show a legend based on the passed on colors
+// boolean. if true, create and show a legend based on the passed on colors.
+// Hovering over a legend item highlights its bubbles, clicking on it hides them.
+
+// sizeLegend (optional)
+// boolean. if true, show nested reference circles with the values they stand
+// for next to the legend, in the same legendPlacement. The values span those of
+// the data and the circles are as large as their bubbles. With maxValue a value
+// has the same size in every chart.
+
+// legendOrientation (optional)
+// `vertical` (default) or `horizontal`.
+
+// legendPlacement (optional)
+// `left` (default), `right`, `top` or `bottom` of the chart.
+
+// hiddenLegendItems (optional)
+// Keys of the legend items whose bubbles are left out of the chart. An item's
+// key is the `key` of its colorLegend entry, or its index in colorLegend, or its
+// colorKey for a categorical colorScale. Controlled if defined, otherwise the
+// chart keeps track of it.
+
+// onLegendToggle (optional)
+// Called with the new hiddenLegendItems and the key of the legend item that was
+// clicked.
 
 // colorLegend (optional)
 // an array of:
@@ -52,12 +110,19 @@ import ReactBubbleChartD3 from './ReactBubbleChartD3';
 //   text: string used in legend,
 //   textColor: string (optional) - if specified will use this for the text color when
 //              over bubbles with that color
+//   pattern: string (optional) - `hatch`, `dots`, `crosshatch`, `horizontal` or
+//            `vertical` marks over the color, to tell the colors apart in grayscale
 // }
 // If this is left undefined everything will render black. But fear not! we add
 // the css class `bubble` to all... bubbles and `bubble leaf` if it has no
 // children. This way if you want all bubbles to be styled the same way you can do
 // so with just css instead of defining a color legend array.
 
+// colorPatterns (optional)
+// boolean. if true, the colorLegend entries without a `pattern` get one in turn,
+// the first one `solid`, i.e. none. Also shown in the legend swatches. Custom
+// colorScales have no patterns.
+
 // fixedDomain (optional)
 // Used in tandum with the color legend. If defined, the minimum number corresponds
 // to the minimum value in the color legend array, and the maximum corresponds to
@@ -70,6 +135,21 @@ import ReactBubbleChartD3 from './ReactBubbleChartD3';
 //   max: number
 // }
 
+// colorScale (optional)
+// How bubbles get their color from the colorLegend:
+// `quantize` (default) - colorValues are split into one bucket per color
+// `sequential` - colorValues are interpolated between the colors
+// `diverging` - same, with the middle color at colorMidpoint
+// `categorical` - the colorKey of each bubble is mapped to a color, in order of
+// the `key` (or `text`) of the colorLegend entries
+// or a d3 scale, or any function, that takes the colorKey if there is one, or the
+// colorValue, and returns a color.
+// The legend is a gradient bar for continuous scales, swatches otherwise.
+
+// colorMidpoint (optional)
+// The colorValue of the middle color of a diverging colorScale, defaults to the
+// middle of the domain.
+
 // tooltip (optional)
 // If `true`, will create a `<div>` as a sibling of the main `<svg>` chart, whose
 // content will be populated by highlighting over one of the bubbles. The class of
@@ -84,7 +164,7 @@ import ReactBubbleChartD3 from './ReactBubbleChartD3';
 
 // For each object in this array, we create a `<div>` whose class is specified by
 // `css`. `prop` specifies what property of the data object to display in the
-// tooltip. `display` (if specified) will prepend the string with `Value: `, if
+// tooltip, or is a function of the data object. `display` (if specified) will prepend the string with `Value: `, if
 // unspecified, nothing is prepended.
 
 // tooltipFunc (optional)
@@ -92,6 +172,19 @@ import ReactBubbleChartD3 from './ReactBubbleChartD3';
 // tooltip on hover. Can be used if you want to do fancier dom stuff than just set
 // some text values.
 
+// tooltipTrigger (optional)
+// What shows the tooltip: `hover` (default), `click`, `focus` or `manual`. With
+// `hover` a mouse or pen over a bubble shows it, and it stays open long enough to
+// move into it; on touch devices tapping a bubble pins it instead. With `click`
+// clicking a bubble pins its tooltip. Pinned tooltips close when clicking the
+// bubble again, clicking outside of it or pressing escape. `focus` only shows
+// tooltips for the focused bubble and `manual` only through `showTooltip`.
+
+// tooltipPlacement (optional)
+// Which side of the bubble the tooltip goes on: `auto` (default), `right`,
+// `left`, `top` or `bottom`. It goes on the opposite side if it doesn't fit, and
+// gets that side as its class so that its arrow can be styled.
+
 // selectedColor
 // String hex value.
 // If defined, will use this to color the circle corresponding to the data object
@@ -102,9 +195,48 @@ import ReactBubbleChartD3 from './ReactBubbleChartD3';
 // If defined, will use this to color the text corresponding to the data object
 // whose `selected` property is true.
 
+// selectedIds (optional)
+// Array of the `_id`s of the selected bubbles, which then get the `selected`
+// class and selectedColor/selectedTextColor instead of the data objects whose
+// `selected` property is true. If defined the selection is controlled, use
+// together with `onSelectionChange`. Changing it doesn't lay the chart out again.
+
+// selectionMode (optional)
+// `click`, `brush` or `lasso`. Lets the user select bubbles: shift or ctrl
+// clicking a bubble selects or unselects it, and in `brush` or `lasso` mode
+// dragging over the background, or a parent's circle, selects every bubble
+// whose center is inside of the rectangle or the freehand outline. Holding
+// shift or ctrl while dragging adds them to the selection instead of replacing
+// it.
+
+// onSelectionChange
+// Called with the array of the selected `_id`s whenever the user changes the
+// selection.
+
+// highlight (optional)
+// A function that is passed the d3 node, or an array of `_id`s. The bubbles it
+// matches get the `highlighted` class, the others fade to highlightOpacity and
+// their labels are hidden. Bubbles with matches inside of them don't fade.
+// Changing it doesn't lay the chart out again. null highlights nothing.
+
+// highlightOpacity
+// The opacity of the bubbles that don't match `highlight`. Defaults to 0.2.
+
 // onClick
-// Can pass a function that will be called with the data object when that bubble is
-// clicked on.
+// Can pass a function that will be called with the d3 node and the DOM event
+// when that bubble is clicked on.
+
+// onDoubleClick, onContextMenu, onBubbleMouseEnter, onBubbleMouseLeave
+// Called with the d3 node and the DOM event when that bubble is double clicked,
+// right clicked, or the mouse enters or leaves it.
+
+// onBackgroundClick
+// Called with the zoomed into d3 node (the root if not zoomed) and the DOM event
+// when the background of the chart is clicked on.
+
+// onTransitionStart, onTransitionEnd
+// Called with the d3 root node when the bubbles start moving after an update,
+// and once they have all arrived.
 
 // smallDiameter
 // Can pass a number below which the label div will have the `small` class added.
@@ -121,6 +253,20 @@ import ReactBubbleChartD3 from './ReactBubbleChartD3';
 // A multiplier used to determine a bubble's font-size as a function of its radius.
 // If not specified, the font-sizes depend on CSS styles for large, medium, and small classes, or 1em by default.
 
+// labelFit (optional)
+// `true`, or an object of `minFontSize` (defaults to 8), `maxFontSize` and `value`,
+// to give every label the largest font size that fits its circle, wrapping words
+// onto lines in the circle and cutting off what still doesn't fit at minFontSize
+// with an ellipsis. `value` adds a line with the bubble's value below the text,
+// `true` formats it with thousands separators, a function is passed the value and
+// the d3 node and returns the text. Overrides fontSizeFactor, parent labels in
+// hierarchical mode are not fitted.
+
+// labelPlacement (optional)
+// `inside` (default) puts the labels over their bubbles, `below` under them, so
+// that they don't cover images. Can also be a function of the d3 node that returns
+// either. Labels below their bubbles aren't fitted and use the CSS text color.
+
 // duration
 // Determines the length of time (in milliseconds) it takes for each bubble's transition animation to complete.
 // defaults to 500 ms; can set to zero
@@ -129,30 +275,524 @@ import ReactBubbleChartD3 from './ReactBubbleChartD3';
 // Staggers the transition between each bubble element.
 // defaults to 7 ms
 
+// animation (optional)
+// An object to customize the transitions:
+//   ease: a d3 easing function, defaults to d3.easeCubic
+//   enter: how new bubbles come in, `grow` (default), `fade`, `radial-fly` from
+//     the edge of the chart or `from-parent`
+//   exit: how old bubbles go, `radial-fly` (default), `fade`, `grow` (shrink in
+//     place) or `from-parent` (into their parent)
+//   stagger: the order bubbles start moving in, `delay` ms apart: `index`
+//     (default), `size` from the biggest, `distance` from the center out, or
+//     a function that is passed the d3 node and its index and returns its delay
+//   reducedMotion: boolean, if true nothing is animated. Defaults to whether
+//     the user prefers reduced motion.
+
+// zoomable
+// boolean. if true, clicking a parent bubble of nested data zooms into it, and
+// clicking the background zooms back out one level.
+
+// focusedId (optional)
+// The `_id` of the parent bubble that is zoomed into. null means the whole chart.
+// If defined the zoom level is controlled, use together with `onFocusChange`.
+
+// onFocusChange
+// Called with the `_id` of the newly zoomed into bubble (or null for the whole
+// chart) when the user zooms in or out.
+
+// breadcrumbs
+// boolean. if true, show a list of the zoomed into bubble's ancestors that can
+// be clicked to zoom back out.
+
+// breadcrumbRootText
+// The text of the first breadcrumb, that zooms all the way out. Defaults to `All`.
+
+// hierarchical
+// boolean. if true, parent bubbles of nested data get circles of their own, with
+// the `bubble parent depth-N` classes, and their labels sit along the top edge of
+// the circle. Otherwise only the leaves are drawn.
+
+// parentColor
+// String or function. Used in hierarchical mode to color the parent circles. A
+// function is passed the d3 node. If undefined, parent circles are styled by CSS.
+
+// layout
+// `pack` (default) or `force`. In force layout only the leaves are drawn, their
+// sizes are the same as in pack layout, but they are positioned by a force
+// simulation and can be dragged around. Zooming and hierarchical mode are not
+// supported in force layout.
+
+// forceCluster
+// boolean. if true, in force layout, bubbles are clustered by the `group`
+// property of their data object, each group around its own center.
+
+// width, height (optional)
+// Numbers. The size of the chart in pixels, instead of the size of its container.
+// If both are defined, the chart is also rendered on the server, see
+// `computeBubbleLayout`. Otherwise the chart follows the size of its container
+// as it changes.
+
+// fit (optional)
+// `contain` (default) packs the bubbles into a circle as large as fits into the
+// chart, `fill` spreads them out over the whole rectangle, for wide or tall
+// charts. Either way the legend takes its own space first, on its side of the
+// chart. In hierarchical mode with `fill`, the root of nested data has no circle.
+
+// maxValue (optional)
+// The total value the chart is sized for. Bubbles normally grow to fill the
+// chart whatever their values add up to, with maxValue a value always gets the
+// same area: a total of maxValue covers about half of the chart and smaller
+// totals leave empty space, so bubbles compare between charts that share it and
+// over data updates. If the total is larger the bubbles shrink to fit after all.
+// With facetBy, a facet with a total of maxValue covers about half of its cell.
+
+// facetBy (optional)
+// A key of the data objects, or a function of them, to split the chart into a
+// grid of packs by, one for each of its values in ascending order. Return numbers
+// from facetBy and name them with facetTitle to put the facets in another order.
+// Nested data is split by the children of its root. The facets share the color
+// and size scales, the legends and the tooltip, bubbles that change facets move
+// over to the new one. With force layout the bubbles gather in their facets. In
+// hierarchical mode the root of nested data has no circle.
+
+// facetTitle (optional)
+// A function of the facetBy value of a facet that returns its title, which goes
+// along the top of it. Defaults to the value itself.
+
+// padding
+// The number of pixels between bubbles. Defaults to 3.
+
+// renderer
+// `svg` (default) or `canvas`. The canvas renderer draws all of the bubbles and
+// labels to a single `<canvas>`, which is a lot faster for thousands of bubbles,
+// but they can't be styled with CSS.
+
+// labelComponent (optional)
+// A component rendered inside of each bubble instead of its displayText. Passed
+// the d3 node as `d`, its radius as `r` and `size`, which is `small`, `medium`
+// or `large` like the class of the label. Not supported by the canvas renderer.
+
+// ariaLabel (optional)
+// The name of the chart for screen readers, defaults to 'Bubble chart'. They
+// also get a description of every bubble, from its displayText, value and the
+// text of its colorLegend entry. Bubbles can be focused with the keyboard and
+// moved between with the arrow keys, enter or space clicks them and escape
+// zooms out.
+
+// The chart can also be exported through a ref:
+// exportSVG() returns the chart as a standalone SVG string, with the labels as
+// <text> elements and all styles inlined. Images are linked by their URLs.
+// exportPNG({ scale }) returns a Promise of a PNG Blob of the same SVG, with
+// the images it could read inlined, scale defaults to 1.
+
+// And driven through a ref, bubbles are referred to by their `_id`:
+// showTooltip(id) and hideTooltip() show the tooltip next to a bubble or hide it.
+// scrollIntoView(id) scrolls the chart into view, zooms into the parent of the
+// bubble if zoomable, and pulses the bubble. Returns false if there's no such
+// bubble.
+// getNodeLayout(id) returns the { x, y, r } of a bubble, in pixels from the top
+// left corner of the container, or null.
+// getAllNodes() returns the d3 nodes of all of the bubbles.
+// relayout() lays the chart out again, e.g. after its container was resized in a
+// browser without ResizeObserver.
+// finishTransitions() stops the transitions and jumps to where they were going.
+// play() and pause() play back the frames, or pause them.
+
+// frames (optional)
+// An array of `{ key, data }` snapshots of a time series, played back one after
+// the other instead of `data`. Bubbles transition from one frame to the next by
+// their `_id`, and the colors use the colorValues of all of the frames unless
+// fixedDomain is defined.
+
+// frameIndex (optional)
+// The index of the frame that is shown. If defined the playback is controlled,
+// use together with `onFrameChange`.
+
+// onFrameChange
+// Called with the index and the frame whenever the frame changes, when playing
+// or scrubbing.
+
+// frameInterval
+// The number of milliseconds each frame is shown for when playing. Defaults to
+// 1000.
+
+// autoPlay
+// boolean. if true, start playing the frames as soon as the chart is mounted.
+
+// frameControls
+// boolean. if true (default), show a play/pause button and a slider to scrub
+// through the frames.
+
+// frameLabel
+// A function that is passed the frame and its index and returns what to show
+// over the chart, defaults to the key of the frame. null shows nothing.
+
 // for more info, see the README
 
+/**
+ * The lines of a fitted label, keyed by where they start in it so that
+ * repeated lines still have keys of their own
+ *
+ * @param {string[]} lines Lines
+ * @returns {Object[]} Line elements
+ */
+function renderLabelLines(lines) {
+  let start = 0;
+  return lines.map(line => {
+    const key = start;
+    start += line.length + 1;
+    return <div key={key} className="bubble-label-line">{line}</div>;
+  });
+}
+
+/**
+ * The markup that ReactBubbleChartD3 would create, rendered from
+ * computeBubbleLayout so that there's something to see before the chart is
+ * mounted, e.g. when rendering on the server. ReactBubbleChartD3 takes it over
+ * once mounted, so React must never touch it again.
+ */
+class BubbleChartMarkup extends React.Component {
+  shouldComponentUpdate() {
+    return false;
+  }
+
+  render() {
+    const { layout, idPrefix } = this.props;
+    if (!layout) {
+      return null;
+    }
+
+    const { plot, circles, labels, facets, fills, legend, sizeLegend } = layout;
+
+    return [
+      <svg
+        key="fills"
+        className="bubble-chart-fills"
+        width={0}
+        height={0}
+        style={{ position: 'absolute' }}
+      >
+        <defs className="bubble-fills">
+          {fills.map(f => f.type === 'image' ? (
+            <pattern key={f.id} id={f.id} width={1} height={1} patternContentUnits="objectBoundingBox">
+              <image width={1} height={1} preserveAspectRatio="xMidYMid slice" xlinkHref={f.href}/>
+            </pattern>
+          ) : (
+            <pattern key={f.id} id={f.id} width={f.size} height={f.size} patternUnits="userSpaceOnUse">
+              <rect width={f.size} height={f.size} style={{ fill: f.color }}/>
+              <path
+                d={f.d}
+                style={f.stroke ?
+                  { fill: 'none', stroke: f.markColor, strokeWidth: 1.5 } :
+                  { fill: f.markColor, stroke: 'none' }}
+              />
+            </pattern>
+          ))}
+        </defs>
+      </svg>,
+      <svg
+        key="svg"
+        className="bubble-chart-d3"
+        width={plot.width}
+        height={plot.height}
+        style={{ overflow: 'visible', position: 'absolute', left: plot.left, top: plot.top }}
+      >
+        {circles.map(c => (
+          <circle
+            key={c.key}
+            data-key={c.key}
+            className={c.className}
+            transform={'translate(' + c.x + ',' + c.y + ')'}
+            r={c.r}
+            style={{ fill: c.fill, opacity: c.opacity }}
+          />
+        ))}
+      </svg>,
+      <div
+        key="html"
+        className="bubble-chart-text"
+        style={{
+          position: 'absolute',
+          left: plot.left,
+          top: plot.top,
+          width: plot.width,
+          height: plot.height,
+        }}
+      >
+        {labels.map(l => (
+          <div
+            key={l.key}
+            data-key={l.key}
+            className={l.className}
+            style={{
+              position: 'absolute',
+              left: l.left,
+              top: l.top,
+              width: l.width,
+              height: l.height,
+              paddingTop: l.below ? l.height : undefined,
+              color: l.color,
+              opacity: l.opacity,
+              pointerEvents: l.opacity ? null : 'none',
+              fontSize: l.fontSize,
+            }}
+          >
+            {l.lines ?
+              renderLabelLines(l.lines).concat(l.value === null ? [] : [ <div key="value" className="bubble-label-value">{l.value}</div> ]) :
+              l.text}
+          </div>
+        ))}
+        {facets.map(f => (
+          <div
+            key={'f' + f.key}
+            data-key={'f' + f.key}
+            className="bubble-facet-title"
+            style={{
+              position: 'absolute',
+              left: f.left,
+              top: f.top,
+              width: f.width,
+              height: f.height,
+              lineHeight: f.height + 'px',
+              opacity: f.opacity,
+              pointerEvents: 'none',
+            }}
+          >
+            {f.title}
+          </div>
+        ))}
+      </div>,
+      <svg
+        key="legend"
+        className="bubble-legend"
+        style={{
+          overflow: 'visible',
+          position: 'absolute',
+          ...(legend && {
+            top: legend.top,
+            left: legend.left,
+            width: legend.width,
+            height: legend.height,
+          }),
+        }}
+      >
+        {legend && legend.type === 'gradient' && (
+          <g className="legend-key legend-gradient">
+            <defs>
+              <linearGradient
+                id={legend.gradientId}
+                x1={0}
+                y1={0}
+                x2={legend.orientation === 'horizontal' ? 1 : 0}
+                y2={legend.orientation === 'horizontal' ? 0 : 1}
+              >
+                {legend.stops.map(s => (
+                  <stop key={s.offset} offset={s.offset} stopColor={s.color}/>
+                ))}
+              </linearGradient>
+            </defs>
+            <rect
+              width={legend.rectSize}
+              height={legend.height}
+              style={{ fill: 'url(#' + legend.gradientId + ')' }}
+            />
+            {legend.ticks.map(t => legend.orientation === 'horizontal' ? (
+              <g
+                key={t.value}
+                className="legend-tick"
+                transform={'translate(' + t.x + ',' + t.y + ')'}
+              >
+                <line y2={4} style={{ stroke: 'currentColor' }}/>
+                <text y={6} dy="0.71em" style={{ textAnchor: 'middle' }}>{t.text}</text>
+              </g>
+            ) : (
+              <g
+                key={t.value}
+                className="legend-tick"
+                transform={'translate(' + t.x + ',' + t.y + ')'}
+              >
+                <line x2={4} style={{ stroke: 'currentColor' }}/>
+                <text x={6} dy="0.32em">{t.text}</text>
+              </g>
+            ))}
+          </g>
+        )}
+        {legend && legend.type === 'swatches' && legend.items.map(c => (
+          <g
+            key={c.key}
+            data-key={c.key}
+            className="legend-key"
+            transform={'translate(' + c.x + ',' + c.y + ')'}
+          >
+            <rect
+              width={legend.rectSize}
+              height={legend.rectSize}
+              style={{ fill: toFill(getPatternFill(c.pattern, c.color, idPrefix), c.color), stroke: c.color }}
+            />
+            <text
+              x={legend.rectSize + 2}
+              y={legend.rectSize - 4}
+            >
+              {c.text}
+            </text>
+          </g>
+        ))}
+      </svg>,
+      <svg
+        key="size-legend"
+        className="bubble-size-legend"
+        style={{
+          overflow: 'visible',
+          position: 'absolute',
+          ...(sizeLegend && {
+            top: sizeLegend.top,
+            left: sizeLegend.left,
+            width: sizeLegend.width,
+            height: sizeLegend.height,
+          }),
+        }}
+      >
+        {sizeLegend && sizeLegend.items.map(c => (
+          <g key={c.key} data-key={c.key} className="size-legend-key">
+            <circle cx={c.cx} cy={c.cy} r={c.r}/>
+            <line x1={c.cx} y1={c.y} x2={c.x - 4} y2={c.y}/>
+            <text x={c.x} y={c.y} dy="0.35em">{c.text}</text>
+          </g>
+        ))}
+      </svg>,
+    ];
+  }
+}
+
+/**
+ * Renders labelComponent into the label <div>s of ReactBubbleChartD3, which
+ * tells us what they are whenever it adds or removes some
+ */
+class BubbleLabels extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      labels: [],
+    };
+  }
+
+  setLabels(labels) {
+    this.setState({ labels });
+  }
+
+  render() {
+    const { component: LabelComponent } = this.props;
+    return this.state.labels.map(({ element, d, size }) => ReactDOM.createPortal(
+      <LabelComponent d={d} r={d.r} size={size}/>,
+      element,
+      'g' + d.id,
+    ));
+  }
+}
+
+/**
+ * The label of the frame that is played back, and the controls to play the
+ * frames and scrub through them
+ */
+class BubbleChartFrames extends React.Component {
+  render() {
+    const { frames, frameIndex, playing, controls, label, onPlayToggle, onFrameChange } = this.props;
+    const text = label && label(frames[frameIndex], frameIndex);
+    const hasText = text !== undefined && text !== null;
+
+    return [
+      hasText && (
+        <div key="label" className="bubble-chart-frame-label" aria-live="polite">
+          {text}
+        </div>
+      ),
+      controls && (
+        <div key="controls" className="bubble-chart-frame-controls">
+          <button
+            type="button"
+            className={'bubble-chart-frame-play' + (playing ? ' playing' : '')}
+            onClick={onPlayToggle}
+          >
+            {playing ? 'Pause' : 'Play'}
+          </button>
+          <input
+            type="range"
+            className="bubble-chart-frame-slider"
+            min={0}
+            max={frames.length - 1}
+            step={1}
+            value={frameIndex}
+            aria-label="Frame"
+            aria-valuetext={hasText ? String(text) : undefined}
+            onChange={e => onFrameChange(Number(e.target.value))}
+          />
+        </div>
+      ),
+    ];
+  }
+}
+
 class ReactBubbleChart extends React.Component {
   static getDerivedStateFromProps({ tooltipFunc, tooltipComponent, ...props }, state) {
     const tooltipMode = tooltipFunc ? 'func' : (tooltipComponent ? 'component' : 'none');
+    const labelMode = props.labelComponent ? 'component' : 'text';
+
+    // When playing back frames, the data is the one of the current frame
+    const { frames } = props;
+    const frameIndex = frames ?
+      Math.max(0, Math.min(props.frameIndex === undefined ? state.frameIndex : props.frameIndex, frames.length - 1)) :
+      0;
+    const data = frames && frames[frameIndex] ? frames[frameIndex].data : props.data;
+    const framesDomain = frames === state.prevFrames ?
+      state.framesDomain :
+      frames && getFramesDomain(frames, props);
 
-    const tooltipTargetChangedSinceLastDataUpdate = (state.prevData === props.data) ?
-          state.tooltipTargetChangedSinceLastDataUpdate :
-          false;
+    const tooltipTargetChangedSinceLastDataUpdate = (state.prevData === data) ?
+      state.tooltipTargetChangedSinceLastDataUpdate :
+      false;
+
+    const focusedId = props.focusedId === undefined ? state.focusedId : props.focusedId;
+    const hiddenLegendItems = props.hiddenLegendItems === undefined ?
+      state.hiddenLegendItems :
+      props.hiddenLegendItems;
+    const selectedIds = props.selectedIds === undefined ? state.selectedIds : props.selectedIds;
 
     return {
       tooltipMode,
+      focusedId,
+      hiddenLegendItems,
+      selectedIds,
+      frameIndex,
 
       chartState: {
-        data: props.data,
+        data,
         colorLegend: props.colorLegend,
-        fixedDomain: props.fixedDomain,
+        fixedDomain: props.fixedDomain || framesDomain,
+        colorScale: props.colorScale,
+        colorMidpoint: props.colorMidpoint,
+        colorPatterns: props.colorPatterns,
         selectedColor: props.selectedColor,
         selectedTextColor: props.selectedTextColor,
+        selectedIds,
+        selectionMode: props.selectionMode,
+        highlight: props.highlight,
+        highlightOpacity: props.highlightOpacity,
         onClick: props.onClick,
+        onDoubleClick: props.onDoubleClick,
+        onContextMenu: props.onContextMenu,
+        onBubbleMouseEnter: props.onBubbleMouseEnter,
+        onBubbleMouseLeave: props.onBubbleMouseLeave,
+        onBackgroundClick: props.onBackgroundClick,
+        onTransitionStart: props.onTransitionStart,
+        onTransitionEnd: props.onTransitionEnd,
         smallDiameter: props.smallDiameter,
         mediumDiameter: props.mediumDiameter,
         legendSpacing: props.legendSpacing,
         legend: props.legend,
+        legendOrientation: props.legendOrientation,
+        legendPlacement: props.legendPlacement,
+        sizeLegend: props.sizeLegend,
+        hiddenLegendItems,
 
         tooltip: props.tooltip,
         tooltipProps: props.tooltipProps,
@@ -160,17 +800,55 @@ class ReactBubbleChart extends React.Component {
         tooltipFunc,
         tooltipShouldShow: props.tooltipShouldShow,
         tooltipMargin: props.tooltipMargin,
+        tooltipTrigger: props.tooltipTrigger,
+        tooltipPlacement: props.tooltipPlacement,
 
         tooltippedDataId: tooltipTargetChangedSinceLastDataUpdate ?
           state.tooltippedDataId :
           props.initialTooltippedDataId,
 
         fontSizeFactor: props.fontSizeFactor,
+        labelFit: props.labelFit,
+        labelPlacement: props.labelPlacement,
+        idAccessor: props.idAccessor,
+        valueAccessor: props.valueAccessor,
+        labelAccessor: props.labelAccessor,
+        colorAccessor: props.colorAccessor,
+        selectedAccessor: props.selectedAccessor,
+        childrenAccessor: props.childrenAccessor,
+        imageAccessor: props.imageAccessor,
+        validation: props.validation,
+        onDataError: props.onDataError,
         duration: props.duration,
         delay: props.delay,
+        animation: props.animation,
+
+        zoomable: props.zoomable,
+        focusedId,
+
+        hierarchical: props.hierarchical,
+        parentColor: props.parentColor,
+
+        layout: props.layout,
+        forceCluster: props.forceCluster,
+
+        renderer: props.renderer,
+        labelMode,
+        ariaLabel: props.ariaLabel,
+
+        width: props.width,
+        height: props.height,
+        fit: props.fit,
+        maxValue: props.maxValue,
+        facetBy: props.facetBy,
+        facetTitle: props.facetTitle,
+        padding: props.padding,
+        idPrefix: props.idPrefix || state.idPrefix,
       },
 
-      prevData: props.data,
+      prevData: data,
+      prevFrames: frames,
+      framesDomain,
       tooltipTargetChangedSinceLastDataUpdate,
     };
   }
@@ -178,18 +856,33 @@ class ReactBubbleChart extends React.Component {
   constructor(props) {
     super(props);
 
+    chartCount += 1;
     this.state = {
       tooltippedDataId: null,
       tooltipTargetChangedSinceLastDataUpdate: false,
+      focusedId: null,
+      hiddenLegendItems: [],
+      selectedIds: null,
+      frameIndex: 0,
+      playing: Boolean(props.autoPlay),
+      idPrefix: 'react-bubble-chart-' + chartCount + '-',
     };
 
     // Define the method this way so that we have a clear reference to it
     // this is necessary so that window.removeEventListener will work properly
     this.handleResize = this._handleResize.bind(this);
+    this.handleContainerResize = this._handleContainerResize.bind(this);
     this.handleTooltip = this._handleTooltip.bind(this);
+    this.handleFocus = this._handleFocus.bind(this);
+    this.handleLabels = this._handleLabels.bind(this);
+    this.handleLegendToggle = this._handleLegendToggle.bind(this);
+    this.handleSelectionChange = this._handleSelectionChange.bind(this);
+    this.handleFrameChange = this._handleFrameChange.bind(this);
+    this.handlePlayToggle = this._handlePlayToggle.bind(this);
 
     this.containerRef = React.createRef();
     this.tooltipRef = React.createRef();
+    this.labelsRef = React.createRef();
   }
 
   /** Render town */
@@ -198,21 +891,48 @@ class ReactBubbleChart extends React.Component {
       className,
       tooltipClassName,
       tooltipComponent: TooltipComponent,
+      labelComponent,
+      breadcrumbs,
+      breadcrumbRootText,
+      frames,
+      frameControls,
+      frameLabel,
     } = this.props;
     const {
       tooltipMode,
+      chartState,
       chartState: { tooltippedDataId },
+      focusedId,
+      frameIndex,
+      playing,
       bubbleChartInitialized,
     } = this.state;
 
+    // Until the chart is mounted, render it from the explicit size
+    const layout = !bubbleChartInitialized &&
+          chartState.data &&
+          chartState.width &&
+          chartState.height &&
+          computeBubbleLayout(chartState.data, chartState);
+
     const tooltippedNode = bubbleChartInitialized &&
           tooltippedDataId &&
           this.bubbleChart.findNodeByDataId(tooltippedDataId);
 
+    const focusedNode = bubbleChartInitialized &&
+          focusedId !== null &&
+          this.bubbleChart.findNodeByDataId(focusedId);
+
     return (
       <div
         ref={this.containerRef}
         className={'bubble-chart-container ' + className}
+        style={{
+          width: chartState.width,
+          height: chartState.height,
+          // Don't let flex layout stretch or shrink an explicitly sized chart
+          flex: chartState.width && chartState.height ? 'none' : null,
+        }}
       >
         <div
           ref={this.tooltipRef}
@@ -224,35 +944,225 @@ class ReactBubbleChart extends React.Component {
             />
           )}
         </div>
+        <BubbleChartMarkup layout={layout} idPrefix={chartState.idPrefix}/>
+        {/* The tooltip is moved into the chart by d3, so anything React adds
+            has to come after it */}
+        {breadcrumbs && focusedNode && (
+          <div className="bubble-chart-breadcrumbs">
+            {focusedNode.ancestors().reverse().map(d => (
+              <span
+                key={d.parent ? 'g' + d.id : 'root'}
+                className={'bubble-chart-breadcrumb' + (d === focusedNode ? ' current' : '')}
+                onClick={() => this.handleFocus(d)}
+              >
+                {d.parent ? getLabelText(d, this.bubbleChart) : breadcrumbRootText}
+              </span>
+            ))}
+          </div>
+        )}
+        {frames && frames[frameIndex] && (
+          <BubbleChartFrames
+            frames={frames}
+            frameIndex={frameIndex}
+            playing={playing}
+            controls={frameControls}
+            label={frameLabel}
+            onPlayToggle={this.handlePlayToggle}
+            onFrameChange={this.handleFrameChange}
+          />
+        )}
+        {labelComponent && (
+          <BubbleLabels ref={this.labelsRef} component={labelComponent}/>
+        )}
       </div>
     );
   }
 
-  /** When we mount, intialize resize handler and create the bubbleChart */
+  /**
+   * When we mount, follow the size of the container, or of the window where
+   * it can't be observed, and create the bubbleChart
+   */
   componentDidMount() {
-    window.addEventListener('resize', this.handleResize);
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', this.handleResize);
+    } else {
+      this.resizeObserver = new ResizeObserver(this.handleContainerResize);
+      this.resizeObserver.observe(this.containerRef.current);
+    }
 
     this.bubbleChart = new ReactBubbleChartD3(
       this.containerRef.current,
       this.tooltipRef.current,
       this.state.chartState,
-      this.handleTooltip,
+      {
+        onTooltip: this.handleTooltip,
+        onFocus: this.handleFocus,
+        onLabels: this.handleLabels,
+        onLegendToggle: this.handleLegendToggle,
+        onSelectionChange: this.handleSelectionChange,
+      },
     );
 
+    this.containerSize = this._getContainerSize();
     this.setState({
       bubbleChartInitialized: true,
     });
+    this._scheduleFrame();
   }
 
   /** When we update, update our friend, the bubble chart */
   componentDidUpdate(prevProps, prevState) {
     this.bubbleChart.update(this.state.chartState, prevState.chartState);
+    if (this.state.playing !== prevState.playing || this.state.frameIndex !== prevState.frameIndex) {
+      this._scheduleFrame();
+    }
   }
 
   /** When we're piecing out, remove the handler and destroy the chart */
   componentWillUnmount() {
     window.removeEventListener('resize', this.handleResize);
-    this.bubbleChart.destroy(this.containerRef.current);
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+
+    clearTimeout(this.__resizeTimeout);
+    clearTimeout(this.__frameTimeout);
+    // There is no chart if creating it threw
+    if (this.bubbleChart) {
+      this.bubbleChart.destroy();
+    }
+  }
+
+  /**
+   * The chart as it is right now, as a standalone SVG string
+   *
+   * @returns {string} SVG document
+   */
+  exportSVG() {
+    return exportSVG(this.bubbleChart);
+  }
+
+  /**
+   * Same as exportSVG, rasterized into a Promise of a PNG Blob
+   *
+   * @param {Object} [options] Image scale
+   * @returns {Promise<Blob>} PNG image
+   */
+  exportPNG(options) {
+    return exportPNG(this.bubbleChart, options);
+  }
+
+  /**
+   * Show the tooltip next to the bubble with this id
+   *
+   * @param {string} id Bubble id
+   */
+  showTooltip(id) {
+    this.setState({
+      tooltippedDataId: id,
+      tooltipTargetChangedSinceLastDataUpdate: true,
+    });
+  }
+
+  hideTooltip() {
+    this.showTooltip(null);
+  }
+
+  /**
+   * Scroll to, zoom to and pulse the bubble with this id
+   *
+   * @param {string} id Bubble id
+   * @returns {boolean} Found the bubble
+   */
+  scrollIntoView(id) {
+    if (!this.bubbleChart.findNodeByDataId(id)) {
+      return false;
+    }
+
+    const container = this.containerRef.current;
+    if (container.scrollIntoView) {
+      container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    return this.bubbleChart.reveal(id);
+  }
+
+  getNodeLayout(id) {
+    return this.bubbleChart.getNodeLayout(id);
+  }
+
+  /**
+   * The d3 nodes of every bubble, without the made up root of a data array
+   *
+   * @returns {Object[]} Nodes
+   */
+  getAllNodes() {
+    const { root } = this.bubbleChart;
+    return root ? root.descendants().filter(d => d.parent || d.id !== undefined) : [];
+  }
+
+  relayout() {
+    const { chartState } = this.state;
+    this.bubbleChart.update(chartState, chartState);
+  }
+
+  finishTransitions() {
+    this.bubbleChart.finishTransitions();
+  }
+
+  /** Play the frames back from the current one, or from the start once done */
+  play() {
+    const { frames } = this.props;
+    if (!frames || frames.length === 0) {
+      return;
+    }
+
+    if (this.state.frameIndex >= frames.length - 1) {
+      this.handleFrameChange(0);
+    }
+
+    this.setState({ playing: true });
+  }
+
+  pause() {
+    this.setState({ playing: false });
+  }
+
+  /** Move on to the next frame once this one has been shown long enough */
+  _scheduleFrame() {
+    clearTimeout(this.__frameTimeout);
+    if (!this.state.playing) {
+      return;
+    }
+
+    this.__frameTimeout = setTimeout(() => {
+      const { frames } = this.props;
+      const { frameIndex } = this.state;
+      if (!frames || frameIndex >= frames.length - 1) {
+        this.pause();
+      } else {
+        this.handleFrameChange(frameIndex + 1);
+      }
+    }, this.props.frameInterval);
+  }
+
+  _handleFrameChange(frameIndex) {
+    if (frameIndex === this.state.frameIndex) {
+      return;
+    }
+
+    this.props.onFrameChange(frameIndex, this.props.frames[frameIndex]);
+    if (this.props.frameIndex === undefined) {
+      this.setState({ frameIndex });
+    }
+  }
+
+  _handlePlayToggle() {
+    if (this.state.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
   }
 
   /** On a debounce, adjust the size of our graph area and then update the chart */
@@ -262,25 +1172,101 @@ class ReactBubbleChart extends React.Component {
     }
 
     this.__resizeTimeout = setTimeout(() => {
-      const { chartState } = this.state;
-      this.bubbleChart.update(chartState, chartState);
+      this.relayout();
       delete this.__resizeTimeout;
     }, 200);
   }
 
+  /**
+   * The observer reports the size of the container as soon as it starts
+   * observing it, only relayout once that has actually changed
+   */
+  _handleContainerResize() {
+    const size = this._getContainerSize();
+    if (size.width === this.containerSize.width && size.height === this.containerSize.height) {
+      return;
+    }
+
+    this.containerSize = size;
+    this._handleResize();
+  }
+
+  _getContainerSize() {
+    const { offsetWidth, offsetHeight } = this.containerRef.current;
+    return { width: offsetWidth, height: offsetHeight };
+  }
+
   _handleTooltip(tooltipped, d) {
     this.setState({
-      tooltippedDataId: tooltipped ? d.data._id : null,
+      tooltippedDataId: tooltipped ? d.id : null,
       tooltipTargetChangedSinceLastDataUpdate: true,
     });
   }
+
+  _handleLabels(labels) {
+    if (this.labelsRef.current) {
+      this.labelsRef.current.setLabels(labels);
+    }
+  }
+
+  _handleLegendToggle(key) {
+    const { hiddenLegendItems } = this.state;
+    const nextHiddenLegendItems = hiddenLegendItems.includes(key) ?
+      hiddenLegendItems.filter(k => k !== key) :
+      hiddenLegendItems.concat([ key ]);
+
+    this.props.onLegendToggle(nextHiddenLegendItems, key);
+    if (this.props.hiddenLegendItems === undefined) {
+      this.setState({ hiddenLegendItems: nextHiddenLegendItems });
+    }
+  }
+
+  _handleSelectionChange(selectedIds) {
+    this.props.onSelectionChange(selectedIds);
+    if (this.props.selectedIds === undefined) {
+      this.setState({ selectedIds });
+    }
+  }
+
+  _handleFocus(d) {
+    const focusedId = d.parent ? d.id : null;
+    if (focusedId === this.state.focusedId) {
+      return;
+    }
+
+    this.props.onFocusChange(focusedId);
+    if (this.props.focusedId === undefined) {
+      this.setState({ focusedId });
+    }
+  }
 }
 
 ReactBubbleChart.defaultProps = {
   className: '',
   tooltipClassName: '',
   tooltipMargin: 5,
+  tooltipTrigger: 'hover',
+  tooltipPlacement: 'auto',
+  fit: 'contain',
   onClick: () => {},
+  onDoubleClick: () => {},
+  onContextMenu: () => {},
+  onBubbleMouseEnter: () => {},
+  onBubbleMouseLeave: () => {},
+  onBackgroundClick: () => {},
+  onTransitionStart: () => {},
+  onTransitionEnd: () => {},
+  onFocusChange: () => {},
+  onLegendToggle: () => {},
+  onSelectionChange: () => {},
+  onFrameChange: () => {},
+  onDataError: () => {},
+  validation: 'warn',
+  frameInterval: 1000,
+  frameControls: true,
+  frameLabel: frame => frame.key,
+  breadcrumbRootText: 'All',
+  ariaLabel: 'Bubble chart',
   tooltipShouldShow: () => true,
 };
 
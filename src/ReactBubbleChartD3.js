@@ -14,61 +14,258 @@
 // limitations under the License.
 //------------------------------------------------------------------------------
 
+/* global window, document */
 import * as d3 from 'd3';
+import CanvasRenderer, { PULSE_SCALE } from './CanvasRenderer';
+import {
+  toHierarchy,
+  packData,
+  getColorScales,
+  getLegendLayout,
+  getPlotArea,
+  getSizeLegendLayout,
+  getSizeLegendItems,
+  stackLegends,
+  findFocus,
+  zoomTo,
+  isCircleDrawn,
+  isLabelDrawn,
+  isCircleInFocus,
+  isLabelInFocus,
+  getCircleColor,
+  getCircleFill,
+  getCircleFillPattern,
+  getFillPatterns,
+  getCircleClass,
+  getLabelColor,
+  getLabelClass,
+  getLabelSize,
+  getLabelText,
+  getAriaLabel,
+  getDescription,
+  getIsHidden,
+  toHighlight,
+  isFaded,
+  toLabelFit,
+  isLabelFitted,
+  isLabelBelow,
+  getLabelFit,
+} from './computeBubbleLayout';
+import { toAccessor, toAccessors } from './accessors';
+import { getPatternFill, toFill } from './patterns';
+import validateData, { reportDataProblems } from './validateData';
 
-const classnames = xs => xs.filter(Boolean).join(' ');
+// Direction of each arrow key, on screen
+const ARROWS = {
+  ArrowLeft: [ -1, 0 ],
+  ArrowRight: [ 1, 0 ],
+  ArrowUp: [ 0, -1 ],
+  ArrowDown: [ 0, 1 ],
+};
+
+// Opacity of the bubbles that are not highlighted
+const DIMMED_OPACITY = 0.2;
+
+// Props that only change the styles of the bubbles or the tooltip, not where
+// the bubbles are
+const RESTYLE_PROPS = new Set([ 'selectedIds', 'highlight', 'highlightOpacity', 'tooltippedDataId' ]);
+
+// Props that the data is validated against, it is checked again when they change
+const VALIDATION_PROPS = [
+  'data',
+  'colorLegend',
+  'colorScale',
+  'validation',
+  'idAccessor',
+  'valueAccessor',
+  'colorAccessor',
+  'childrenAccessor',
+];
+
+// Names of the transitions that bubbles and labels can have running at once
+const TRANSITION_NAMES = [ null, 'restyle', 'pulse' ];
+
+// The bubbles move whenever any of these of the plot area change
+const PLOT_KEYS = [ 'left', 'top', 'width', 'height' ];
+
+// Props that are only called back, they don't change the chart at all
+const isCallback = k => /^on[A-Z]/.test(k) || k === 'tooltipFunc' || k === 'tooltipShouldShow';
+
+// Key function for data joins, from the key of each datum. Elements rendered
+// on the server have no data yet, they are matched through an attribute.
+const joinKey = (toKey, attribute = 'data-key') => function (d) {
+  return d ? toKey(d) : this.getAttribute(attribute);
+};
+
+// Drags shorter than this many pixels are clicks, not brushes or lassos
+const MIN_SELECTION_DRAG = 3;
+
+// Time to move the pointer from a bubble into its tooltip before it hides
+const TOOLTIP_HIDE_DELAY = 150;
+
+// The sides of a bubble its tooltip is tried on, by tooltipPlacement
+const TOOLTIP_SIDES = {
+  auto: [ 'right', 'left' ],
+  right: [ 'right', 'left' ],
+  left: [ 'left', 'right' ],
+  top: [ 'top', 'bottom' ],
+  bottom: [ 'bottom', 'top' ],
+};
+
+// Every chart needs its own id for aria-describedby and window listeners
+let chartCount = 0;
+
+/**
+ * Whether the user asked the system to keep animations to a minimum
+ *
+ * @returns {boolean} Reduce motion
+ */
+function prefersReducedMotion() {
+  return Boolean(window.matchMedia) && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * For selection.each, removes the text of a label, and the lines of a fitted
+ * one, but leaves what React rendered into it be
+ */
+function removeTextNodes() {
+  for (const child of [ ...this.childNodes ]) {
+    if (child.nodeType === 3 || (child.nodeType === 1 && child.matches('.bubble-label-line, .bubble-label-value'))) {
+      child.remove();
+    }
+  }
+}
 
 /**
  * Properties defined during construction:
  *   svg
+ *   fillsSvg
+ *   fills
  *   html
  *   legend
- *   bubble
+ *   legendLayout
+ *   sizeLegend
+ *   sizeLegendLayout
+ *   width
+ *   height
+ *   plot
  *   diameter
- *   colorRange
- *   colorLegend
+ *   fit
+ *   padding
  *   selectedColor
  *   legendSpacing
  *   smallDiameter
- *   textColorRange
  *   mediumDiameter
  *   configureLegend
  *   selectedTextColor
  *   fontSizeFactor
+ *   labelFit
+ *   labelFits
+ *   labelPlacement
+ *   measureText
  *   duration
  *   delay
+ *   ease
+ *   enterAnimation
+ *   exitAnimation
+ *   stagger
+ *   delays
+ *   focus
+ *   hierarchical
+ *   parentColor
+ *   layout
+ *   simulation
+ *   renderer
+ *   canvasRenderer
+ *   labelMode
+ *   colorLegend
+ *   colorScale
+ *   bucket
+ *   pattern
+ *   highlightedBucket
+ *   description
+ *   idPrefix
+ *   keyboardId
+ *   selectionMode
+ *   selectedIds
+ *   highlight
+ *   highlightOpacity
+ *   selectionDragged
+ *   selectionDraggedTimeout
+ *   transitionTimeout
+ *   transitionEnd
+ *   revealTimeout
+ *   validData
+ *   dataProblems
+ *   destroyed
  */
 export default class ReactBubbleChartD3 {
-  constructor(containerElement, tooltipElement, props = {}, onTooltip) {
+  constructor(containerElement, tooltipElement, props = {}, { onTooltip, onFocus, onLabels, onLegendToggle, onSelectionChange } = {}) {
     this.container = containerElement;
+    this.props = props;
     this.onTooltip = onTooltip;
+    this.onFocus = onFocus;
+    this.onLabels = onLabels;
+    this.onLegendToggle = onLegendToggle;
+    this.onSelectionChange = onSelectionChange;
     this.legendSpacing = typeof props.legendSpacing === 'number' ? props.legendSpacing : 3;
     this.selectedColor = props.selectedColor;
     this.selectedTextColor = props.selectedTextColor;
     this.smallDiameter = props.smallDiameter || 40;
     this.mediumDiameter = props.mediumDiameter || 115;
     this.fontSizeFactor = props.fontSizeFactor;
-    this.duration = props.duration === undefined ? 500 : props.duration;
-    this.delay = props.delay === undefined ? 7 : props.delay;
-
-    const containerSelection = d3.select(this.container);
+    this.labelFits = new Map();
+    this.padding = typeof props.padding === 'number' ? props.padding : 3;
 
     // Create an <svg> and <html> element - store a reference to it for later
-    this.svg = containerSelection
-      .append('svg')
-      .attr('class', 'bubble-chart-d3')
-      .style('overflow', 'visible');
-    this.html = containerSelection
-      .append('div')
-      .attr('class', 'bubble-chart-text')
+    // if rendered on the server, take over the existing ones instead
+    // Both are positioned absolutely, so that the container's size doesn't
+    // depend on them and they can follow it
+    this.svg = this._selectOrAppend('svg', 'bubble-chart-d3')
+      .style('overflow', 'visible')
+      .style('position', 'absolute');
+    // The images and patterns that circles and legend swatches are filled
+    // with, in an <svg> of their own that stays visible while the bubbles are
+    // drawn on the canvas
+    this.fillsSvg = this._selectOrAppend('svg', 'bubble-chart-fills')
+      .attr('width', 0)
+      .attr('height', 0)
+      .style('position', 'absolute');
+    this.fills = this.fillsSvg.select('defs.bubble-fills');
+    if (this.fills.empty()) {
+      this.fills = this.fillsSvg.append('defs')
+        .attr('class', 'bubble-fills');
+    }
+
+    this.html = this._selectOrAppend('div', 'bubble-chart-text')
+      .style('position', 'absolute')
+      .on('click', this._htmlClick.bind(this))
+      .on('dblclick', () => this._htmlBubbleEvent('onDoubleClick'))
+      .on('contextmenu', () => this._htmlBubbleEvent('onContextMenu'))
+      .on('mousedown.selection', this._selectionStart.bind(this))
+      .on('pointerdown.tooltip', () => {
+        this.pointerType = d3.event.pointerType;
+      });
+    // Screen readers get the gist of the chart from a visually hidden description
+    chartCount += 1;
+    this.chartId = chartCount;
+    this.idPrefix = props.idPrefix || 'bubble-chart-' + this.chartId + '-';
+    this.description = this.html.append('div')
+      .attr('class', 'bubble-chart-description')
+      .attr('id', 'bubble-chart-description-' + this.chartId)
       .style('position', 'absolute')
-      .style('left', 0) // Center horizontally
-      .style('right', 0)
-      .style('margin-left', 'auto')
-      .style('margin-right', 'auto');
-    this.legend = containerSelection
-      .append('svg')
-      .attr('class', 'bubble-legend')
+      .style('width', '1px')
+      .style('height', '1px')
+      .style('overflow', 'hidden')
+      .style('clip', 'rect(0 0 0 0)')
+      .style('white-space', 'nowrap');
+    this.html
+      .attr('role', 'group')
+      .attr('aria-describedby', this.description.attr('id'));
+    this.legend = this._selectOrAppend('svg', 'bubble-legend')
+      .style('overflow', 'visible')
+      .style('position', 'absolute');
+    this.sizeLegend = this._selectOrAppend('svg', 'bubble-size-legend')
       .style('overflow', 'visible')
       .style('position', 'absolute');
     this.tooltip = this.html
@@ -78,79 +275,430 @@ export default class ReactBubbleChartD3 {
       .style('border-radius', '5px')
       .style('border', '3px solid')
       .style('padding', '5px')
-      .style('z-index', 500);
-    // Create legend and update
-    this.adjustSize();
-    this.update(props, {});
+      .style('z-index', 500)
+      .on('pointerenter', () => this._cancelTooltipHide())
+      .on('pointerleave', () => this._tooltipPointerOut(this.findNodeByDataId(this.props.tooltippedDataId)));
+    // Create legend and update. If that throws, strict validation for one,
+    // take down what was created so far before passing the error on
+    try {
+      this.update(props, {});
+    } catch (error) {
+      this.destroy();
+      throw error;
+    }
+  }
+
+  _selectOrAppend(tag, className) {
+    const selection = d3.select(this.container).select(tag + '.' + className);
+    if (!selection.empty()) {
+      return selection;
+    }
+
+    return d3.select(this.container)
+      .append(tag)
+      .attr('class', className);
+  }
+
+  /**
+   * Set this.width and this.height, the chart is as large as its container
+   * unless told otherwise
+   *
+   * @param {Object} props Chart props
+   */
+  measure(props) {
+    this.width = props.width || this.container.offsetWidth;
+    this.height = props.height || this.container.offsetHeight;
+  }
+
+  /**
+   * Set this.plot, the rectangle the bubbles are drawn in, to what the legends
+   * leave of the chart, and this.diameter to its shorter side. Also size and
+   * position this.svg and this.html to cover it.
+   *
+   * @param {Object[]} legendLayouts Legend layouts
+   */
+  adjustSize(legendLayouts) {
+    const plot = getPlotArea(this.width, this.height, legendLayouts);
+    this.plot = plot;
+    this.diameter = Math.min(plot.width, plot.height);
+    this.svg.attr('width', plot.width)
+      .attr('height', plot.height)
+      .style('left', plot.left + 'px')
+      .style('top', plot.top + 'px');
+    if (this.canvasRenderer) {
+      this.canvasRenderer.resize(plot);
+    }
+
+    this.html.style('width', plot.width + 'px')
+      .style('height', plot.height + 'px')
+      .style('left', plot.left + 'px')
+      .style('top', plot.top + 'px');
   }
 
   /**
-   * Set this.diameter and this.bubble, also size this.svg and this.html
+   * Switch between drawing to <svg> and <div>s or to a <canvas>
+   *
+   * @param {Object} props Chart props
    */
-  adjustSize() {
-    // Helper values for positioning
-    this.diameter = Math.min(this.container.offsetWidth, this.container.offsetHeight);
-    const top = Math.max((this.container.offsetHeight - this.diameter) / 2, 0);
-    // Center some stuff vertically
-    this.svg.attr('width', this.diameter)
-      .attr('height', this.diameter)
-      .style('position', 'relative')
-      .style('top', top + 'px'); // Center vertically
-    this.html.style('width', this.diameter + 'px')
-      .style('height', this.diameter + 'px')
-      .style('top', top + 'px'); // Center vertically;
+  configureRenderer(props) {
+    this.renderer = props.renderer === 'canvas' ? 'canvas' : 'svg';
+
+    if (this.renderer === 'canvas' && !this.canvasRenderer) {
+      // The canvas draws everything itself, and mouse events are hit tested
+      // on this.html which lies on top of it
+      this.svg.selectAll('circle').remove();
+      this.html.selectAll('.bubble-label').remove();
+      this.canvasRenderer = new CanvasRenderer(this.container, this.html.node());
+      this.html
+        .on('pointermove', this._canvasMouseMove.bind(this))
+        .on('pointerleave', this._canvasMouseLeave.bind(this));
+    } else if (this.renderer === 'svg' && this.canvasRenderer) {
+      this.canvasRenderer.destroy();
+      delete this.canvasRenderer;
+      this.html
+        .on('pointermove', null)
+        .on('pointerleave', null)
+        .on('.drag', null)
+        .style('cursor', null);
+    }
+
+    this.svg.style('display', this.renderer === 'canvas' ? 'none' : null);
+  }
 
-    // create the bubble layout that we will use to position our bubbles\
-    this.bubble = d3.pack()
-      .size([ this.diameter, this.diameter ])
-      .padding(3);
+  /**
+   * How the bubbles move: the easing, how they enter and exit and in what
+   * order. Nothing moves if the user prefers reduced motion.
+   *
+   * @param {Object} props Chart props
+   */
+  configureAnimation(props) {
+    const animation = props.animation || {};
+    const reducedMotion = animation.reducedMotion === undefined ?
+      prefersReducedMotion() :
+      animation.reducedMotion;
+    this.duration = props.duration === undefined ? 500 : props.duration;
+    this.delay = props.delay === undefined ? 7 : props.delay;
+    this.ease = animation.ease || d3.easeCubic;
+    this.enterAnimation = animation.enter || 'grow';
+    this.exitAnimation = animation.exit || 'radial-fly';
+    this.stagger = animation.stagger || 'index';
+    if (reducedMotion) {
+      this.duration = 0;
+      this.delay = 0;
+      this.stagger = 'index';
+    }
   }
 
   /**
-   * Create and configure the legend
+   * Create and configure the legend, swatches or a gradient depending on the
+   * color scales. Hovering over a legend item highlights its bubbles, clicking
+   * on it hides them. The size legend goes next to it, sized for the data as
+   * packData packs it with packOptions, but its circles are only drawn once
+   * the bubbles are laid out. Returns the layouts of both of them, either one
+   * null if there is none.
+   *
+   * @param {Object} props Chart props
+   * @param {Object} scales Color scales
+   * @param {Object|Object[]} data Chart data
+   * @param {Object} packOptions packData options
+   * @returns {Object[]} Legend layouts
    */
-  configureLegend(props) {
+  configureLegend(props, scales, data, packOptions) {
     this.createLegend = props.legend;
-    // For each color in the legend, remove any existing, then
-    // create a g and set its transform
-    this.legend.selectAll('.legend-key').remove();
-    if (!this.createLegend) {
-      return;
+    this.createSizeLegend = Boolean(props.sizeLegend && data);
+    const size = { width: this.width, height: this.height, placement: props.legendPlacement };
+    const colorLegendLayout = this.createLegend ?
+      getLegendLayout(props.colorLegend, {
+        ...size,
+        legendSpacing: this.legendSpacing,
+        scales,
+        orientation: props.legendOrientation,
+      }) :
+      null;
+    const [ legendLayout, sizeLegendLayout ] = stackLegends([
+      colorLegendLayout,
+      this.createSizeLegend ?
+        getSizeLegendLayout(data, {
+          ...packOptions,
+          ...size,
+          plot: getPlotArea(this.width, this.height, [ colorLegendLayout ]),
+          focusedId: this.layout === 'force' ? undefined : props.focusedId,
+        }) :
+        null,
+    ], size);
+    this.legendLayout = legendLayout;
+    this.sizeLegendLayout = sizeLegendLayout;
+    if (!sizeLegendLayout) {
+      this.sizeLegend.selectAll('.size-legend-key').remove();
     }
 
-    const legendRectSize = Math.min(
-      ((this.container.offsetHeight - 20) - (this.colorLegend.length - 1) * this.legendSpacing) / this.colorLegend.length,
-      18,
-    );
-    const legendHeight = this.colorLegend.length * (legendRectSize + this.legendSpacing) - this.legendSpacing;
-    this.legend.style('height', legendHeight + 'px')
-      .style('width', legendRectSize + 'px')
-      .style('top', (this.container.offsetHeight - legendHeight) / 2 + 'px')
-      .style('left', 60 + 'px');
-
-    const legendKeys = this.legend.selectAll('.legend-key')
-      .data(this.colorLegend)
-      .enter()
-      .append('g')
-      .attr('class', 'legend-key')
-      .attr('transform', (d, i) => {
-        const height = legendRectSize + this.legendSpacing;
-        const vert = i * height;
-        return 'translate(' + 0 + ',' + vert + ')';
-      });
+    if (!legendLayout) {
+      this.legend.selectAll('.legend-key').remove();
+      return [ null, sizeLegendLayout ];
+    }
+
+    this.legend.style('height', legendLayout.height + 'px')
+      .style('width', legendLayout.width + 'px')
+      .style('top', legendLayout.top + 'px')
+      .style('left', legendLayout.left + 'px');
+
+    const key = joinKey(c => c.key);
+    const legendKeys = this.legend.selectAll('.legend-key:not(.legend-gradient)')
+      .data(legendLayout.type === 'swatches' ? legendLayout.items : [], key);
+    legendKeys.exit().remove();
 
     // For each <g> create a rect and have its color... be the color
-    legendKeys.append('rect')
+    // and add the necessary labels
+    const legendKeysEnter = legendKeys.enter()
+      .append('g')
+      .attr('class', 'legend-key');
+    legendKeysEnter.append('rect');
+    legendKeysEnter.append('text');
+
+    const legendRectSize = legendLayout.rectSize;
+    const mergedKeys = legendKeysEnter.merge(legendKeys)
+      .attr('transform', c => 'translate(' + c.x + ',' + c.y + ')')
+      .call(this._configureLegendItems.bind(this));
+    mergedKeys.select('rect')
       .attr('width', legendRectSize)
       .attr('height', legendRectSize)
-      .style('fill', c => c.color)
+      .style('fill', c => toFill(getPatternFill(c.pattern, c.color, this.idPrefix), c.color))
       .style('stroke', c => c.color);
-
-    // Add necessary labels to the legend
-    legendKeys.append('text')
+    mergedKeys.select('text')
       .attr('x', legendRectSize + 2)
       .attr('y', legendRectSize - 4)
       .text(c => c.text);
+
+    this._configureGradientLegend(legendLayout);
+    return [ legendLayout, sizeLegendLayout ];
+  }
+
+  /**
+   * Draw the circles of the size legend as large as the bubbles of their
+   * values are, now that those are laid out
+   *
+   * @param {Object} root Laid out tree
+   */
+  _drawSizeLegend(root) {
+    const layout = this.sizeLegendLayout;
+    const items = layout ? getSizeLegendItems(root, layout) : [];
+    if (layout) {
+      this.sizeLegend.style('height', layout.height + 'px')
+        .style('width', layout.width + 'px')
+        .style('top', layout.top + 'px')
+        .style('left', layout.left + 'px');
+    }
+
+    const key = joinKey(c => c.key);
+    const keys = this.sizeLegend.selectAll('.size-legend-key')
+      .data(items, key);
+    keys.exit().remove();
+    const keysEnter = keys.enter()
+      .append('g')
+      .attr('class', 'size-legend-key');
+    keysEnter.append('circle');
+    keysEnter.append('line');
+    keysEnter.append('text');
+
+    const mergedKeys = keysEnter.merge(keys);
+    mergedKeys.select('circle')
+      .attr('cx', c => c.cx)
+      .attr('cy', c => c.cy)
+      .attr('r', c => c.r);
+    mergedKeys.select('line')
+      .attr('x1', c => c.cx)
+      .attr('y1', c => c.y)
+      .attr('x2', c => c.x - 4)
+      .attr('y2', c => c.y);
+    mergedKeys.select('text')
+      .attr('x', c => c.x)
+      .attr('y', c => c.y)
+      .attr('dy', '0.35em')
+      .text(c => c.text);
+  }
+
+  /**
+   * Define the images and patterns that the circles and legend swatches are
+   * filled with, and drop the ones that nothing is filled with anymore
+   *
+   * @param {Object} root Laid out tree
+   */
+  _drawFills(root) {
+    const key = joinKey(f => f.id, 'id');
+
+    const nodes = root.descendants().filter(d => isCircleDrawn(d, this));
+    const legendItems = this.legendLayout ? this.legendLayout.items : [];
+    const fills = this.fills.selectAll('pattern')
+      .data(getFillPatterns(nodes, this, legendItems), key);
+    fills.exit().remove();
+    fills.enter()
+      .append('pattern')
+      .attr('id', f => f.id)
+      .each(function (f) {
+        const pattern = d3.select(this);
+        if (f.type === 'image') {
+          // Sized by the circle, so the image scales right along with it
+          pattern.attr('width', 1)
+            .attr('height', 1)
+            .attr('patternContentUnits', 'objectBoundingBox')
+            .append('image')
+            .attr('width', 1)
+            .attr('height', 1)
+            .attr('preserveAspectRatio', 'xMidYMid slice')
+            .attr('xlink:href', f.href);
+          return;
+        }
+
+        pattern.attr('width', f.size)
+          .attr('height', f.size)
+          .attr('patternUnits', 'userSpaceOnUse');
+        pattern.append('rect')
+          .attr('width', f.size)
+          .attr('height', f.size)
+          .style('fill', f.color);
+        pattern.append('path')
+          .attr('d', f.d)
+          .style('fill', f.stroke ? 'none' : f.markColor)
+          .style('stroke', f.stroke ? f.markColor : 'none')
+          .style('stroke-width', f.stroke ? 1.5 : null);
+      });
+  }
+
+  /**
+   * Title every facet of the chart along the top of its cell. They move
+   * along with their cells and fade out while zoomed into a bubble.
+   *
+   * @param {Object} root Laid out tree
+   */
+  _drawFacetTitles(root) {
+    const { duration, ease } = this;
+    const key = joinKey(f => 'f' + f.key);
+
+    const titles = this.html.selectAll('.bubble-facet-title')
+      .data(root.facets || [], key);
+    titles.exit()
+      .transition()
+      .duration(duration)
+      .ease(ease)
+      .style('opacity', 0)
+      .remove();
+    const titlesEnter = titles.enter()
+      .append('div')
+      .attr('class', 'bubble-facet-title')
+      .attr('data-key', f => 'f' + f.key)
+      .style('position', 'absolute')
+      .style('pointer-events', 'none')
+      .style('opacity', 0)
+      .call(this._placeFacetTitles.bind(this));
+    titlesEnter.merge(titles)
+      .text(f => f.title)
+      .transition()
+      .duration(duration)
+      .ease(ease)
+      .call(this._placeFacetTitles.bind(this))
+      .style('opacity', this.focus === root ? 1 : 0);
+  }
+
+  _placeFacetTitles(selection) {
+    selection
+      .style('left', f => f.left + 'px')
+      .style('top', f => f.top + 'px')
+      .style('width', f => f.width + 'px')
+      .style('height', f => f.height + 'px')
+      .style('line-height', f => f.height + 'px');
+  }
+
+  /**
+   * A bar filled with the gradient of the color scale, with a label next to
+   * each tick
+   *
+   * @param {Object} legendLayout Gradient legend layout
+   */
+  _configureGradientLegend(legendLayout) {
+    const horizontal = legendLayout.orientation === 'horizontal';
+    const gradient = this.legend.selectAll('.legend-gradient')
+      .data(legendLayout.type === 'gradient' ? [ legendLayout ] : []);
+    gradient.exit().remove();
+
+    // The <defs> go in the key itself, so that copies of it work too
+    const gradientEnter = gradient.enter()
+      .append('g')
+      .attr('class', 'legend-key legend-gradient');
+    gradientEnter.append('defs')
+      .append('linearGradient');
+    gradientEnter.append('rect');
+
+    const mergedGradient = gradientEnter.merge(gradient);
+    const stops = mergedGradient.select('linearGradient')
+      .attr('id', l => l.gradientId)
+      .attr('x1', 0)
+      .attr('y1', 0)
+      .attr('x2', horizontal ? 1 : 0)
+      .attr('y2', horizontal ? 0 : 1)
+      .selectAll('stop')
+      .data(l => l.stops);
+    stops.exit().remove();
+    stops.enter()
+      .append('stop')
+      .merge(stops)
+      .attr('offset', s => s.offset)
+      .attr('stop-color', s => s.color);
+
+    mergedGradient.select('rect')
+      .attr('width', l => l.width)
+      .attr('height', l => l.height)
+      .style('fill', l => 'url(#' + l.gradientId + ')');
+
+    const ticks = mergedGradient.selectAll('.legend-tick')
+      .data(l => l.ticks, t => t.value);
+    ticks.exit().remove();
+    const ticksEnter = ticks.enter()
+      .append('g')
+      .attr('class', 'legend-tick');
+    ticksEnter.append('line')
+      .style('stroke', 'currentColor');
+    ticksEnter.append('text');
+
+    const mergedTicks = ticksEnter.merge(ticks)
+      .attr('transform', t => 'translate(' + t.x + ',' + t.y + ')')
+      .call(this._configureLegendItems.bind(this));
+    mergedTicks.select('line')
+      .attr('x2', horizontal ? 0 : 4)
+      .attr('y2', horizontal ? 4 : 0);
+    mergedTicks.select('text')
+      .attr('x', horizontal ? 0 : 6)
+      .attr('y', horizontal ? 6 : 0)
+      .attr('dy', horizontal ? '0.71em' : '0.32em')
+      .style('text-anchor', horizontal ? 'middle' : null)
+      .text(t => t.text);
+  }
+
+  /**
+   * Legend items that stand for a bucket of bubbles highlight them on hover
+   * and hide or show them on click
+   *
+   * @param {Object} selection Legend items
+   */
+  _configureLegendItems(selection) {
+    const hidden = new Set(this.props.hiddenLegendItems || []);
+    const isInteractive = c => c.key !== undefined;
+    selection
+      .classed('hidden', c => hidden.has(c.key))
+      .classed('highlighted', c => isInteractive(c) && c.key === this.highlightedBucket)
+      .style('opacity', c => hidden.has(c.key) ? 0.4 : null)
+      .style('cursor', c => isInteractive(c) ? 'pointer' : null)
+      .on('mouseenter', c => {
+        if (isInteractive(c) && !hidden.has(c.key)) {
+          this._highlightBucket(c.key);
+        }
+      })
+      .on('mouseleave', () => this._highlightBucket(undefined))
+      .on('click', c => {
+        if (isInteractive(c)) {
+          this._highlightBucket(undefined);
+          this.onLegendToggle(c.key);
+        }
+      });
   }
 
   /**
@@ -162,6 +710,11 @@ export default class ReactBubbleChartD3 {
     this.tooltipFunc = props.tooltipFunc;
     this.tooltipShouldShow = props.tooltipShouldShow;
     this.tooltipMargin = props.tooltipMargin;
+    this.tooltipTrigger = props.tooltipTrigger || 'hover';
+    this.tooltipPlacement = TOOLTIP_SIDES[props.tooltipPlacement] ? props.tooltipPlacement : 'auto';
+    if (this.tooltipTrigger !== 'click' && this.tooltipTrigger !== 'hover') {
+      this._unpinTooltip();
+    }
 
     if (!this.shouldCreateTooltip) {
       return;
@@ -184,36 +737,35 @@ export default class ReactBubbleChartD3 {
   }
 
   getCircleColor(d) {
-    if (d.data.selected && this.selectedColor) {
-      return this.selectedColor;
-    }
+    return getCircleColor(d, this);
+  }
 
-    return this.color(d.data.colorValue);
+  getCircleFill(d) {
+    return getCircleFill(d, this);
   }
 
-  getLabelColor(d) {
-    if (d.data.selected && this.selectedTextColor) {
-      return this.selectedTextColor;
-    }
+  getCircleClass(d) {
+    return getCircleClass(d, this);
+  }
 
-    return this.textColor(d.data.colorValue);
+  getLabelColor(d) {
+    return getLabelColor(d, this);
   }
 
   getLabelClass(d) {
-    let size;
-    if (2 * d.r < this.smallDiameter) {
-      size = 'small';
-    } else if (2 * d.r < this.mediumDiameter) {
-      size = 'medium';
-    } else {
-      size = 'large';
-    }
+    return getLabelClass(d, this);
+  }
 
-    return classnames([
-      'bubble-label',
-      size,
-      d.data.selected && 'selected',
-    ]);
+  /**
+   * Which bubbles are selected and highlighted, and how they can be selected
+   *
+   * @param {Object} props Chart props
+   */
+  configureSelection(props) {
+    this.selectionMode = props.selectionMode;
+    this.selectedIds = props.selectedIds ? new Set(props.selectedIds) : null;
+    this.highlight = toHighlight(props.highlight);
+    this.highlightOpacity = props.highlightOpacity === undefined ? DIMMED_OPACITY : props.highlightOpacity;
   }
 
   /**
@@ -223,61 +775,200 @@ export default class ReactBubbleChartD3 {
    * Create and initialize new bubbles.
    * Remove old bubbles.
    * Maintain consistencies between this.svg and this.html
+   * Does nothing once the chart is destroyed.
    */
   update(props, prevProps) {
+    if (this.destroyed) {
+      return;
+    }
+
+    const changed = Object.keys(props).filter(k => props[k] !== prevProps[k] && !isCallback(k));
     this.props = props;
+    this.accessors = toAccessors(props);
+    this.configureSelection(props);
 
-    this.adjustSize();
-    // Initialize color legend values and color range values
-    // color range is just an array of the hex values
-    // color legend is an array of the color/text objects
-    const colorLegend = props.colorLegend || [];
-    this.colorRange = colorLegend.map(c =>
-      typeof c === 'string' ? c : c.color
-    );
-    this.colorLegend = colorLegend.slice(0).reverse().map(c =>
-      typeof c === 'string' ? { color: c } : c
-    );
-    this.textColorRange = colorLegend.map(c =>
-      typeof c === 'string' ? '#000000' : (c.textColor || '#000000')
-    );
-    this.configureLegend(props);
+    // Selecting, highlighting or hovering bubbles only changes their styles,
+    // there's no need to lay them out again or to move the force layout
+    if (this.root && changed.length > 0 && changed.every(k => RESTYLE_PROPS.has(k))) {
+      this.configureTooltip(props);
+      this._restyle();
+      // Fading bubbles in and out is a transition too, hovering one for its
+      // tooltip is not
+      if (changed.some(k => k !== 'tooltippedDataId')) {
+        this._transitionLifecycle(this.renderer === 'canvas' ? this._transitionLength() : this.duration / 2);
+      }
+
+      this.description.text(getDescription(this.root, this));
+      this._updateTooltip(props.tooltippedDataId, prevProps.tooltippedDataId, props.data, prevProps.data);
+      this.adjustTooltipPosition();
+      return;
+    }
+
+    const previousPlot = this.plot;
+    this.configureRenderer(props);
+    this.configureAnimation(props);
+    this.measure(props);
     this.configureTooltip(props);
+    this.html.attr('aria-label', props.ariaLabel);
 
-    const { data } = props;
-    if (!data) {
+    if (!props.data) {
+      this.adjustSize(this.configureLegend(props));
+      this.description.text(null);
       return;
     }
 
-    const fontFactor = this.fontSizeFactor;
-    const { duration } = this;
-    const { delay } = this;
+    const data = this._validateData(props, changed);
+
+    this.layout = props.layout || 'pack';
+    this.forceCluster = props.forceCluster;
+    this.hierarchical = props.hierarchical && this.layout !== 'force';
+    this.parentColor = props.parentColor;
+    this.fit = props.fit;
+    // Fitted labels get new lines whenever they are laid out
+    const relabel = this.labelMode !== props.labelMode || Boolean(this.labelFit) || Boolean(props.labelFit);
+    this.labelMode = props.labelMode;
+    this.labelFit = toLabelFit(props.labelFit);
+    this.labelPlacement = props.labelPlacement;
+
+    const root = this._packData(data, props);
+    const previousRoot = this.root;
+    this.root = root;
+    if (this.simulation) {
+      this.simulation.stop();
+    }
+
+    if (this.layout === 'force') {
+      this.forceLayout(root, previousRoot);
+    }
+
+    // Find the zoomed in node and move everything into its view
+    this.zoomable = props.zoomable && this.layout !== 'force';
+    this.focus = this.layout === 'force' ? root : findFocus(root, props.focusedId);
+    zoomTo(root, this.focus, this.plot.width, this.plot.height);
+    this._fitLabels(root);
+    this._drawSizeLegend(root);
+    this._drawFacetTitles(root);
+    this._drawFills(root);
+    this.description.text(getDescription(root, this));
+
+    this.delays = this._getDelays(root.descendants().filter(d => isLabelDrawn(d, this)));
+    if (this.renderer === 'canvas') {
+      this._updateCanvas(root);
+    } else {
+      this._updateSvg(root, relabel);
+    }
+
+    // Showing or hiding the tooltip doesn't move anything
+    const resized = !previousPlot || PLOT_KEYS.some(k => this.plot[k] !== previousPlot[k]);
+    const moved = resized || changed.some(k => k !== 'tooltippedDataId');
+    if (moved) {
+      this._transitionLifecycle(this._transitionLength());
+    }
+
+    this._reportLabels();
+
+    this._updateTooltip(
+      props.tooltippedDataId,
+      prevProps.tooltippedDataId,
+      props.data,
+      prevProps.data,
+    );
+
+    this.adjustTooltipPosition();
+  }
+
+  /**
+   * Generate color scales for our colorValues and for text town, from all of
+   * the data so that colors stay put when hiding some. Then the legend, and
+   * data with calculated layout values in whatever the legend leaves of the
+   * chart.
+   *
+   * @param {Object|Object[]} data Chart data
+   * @param {Object} props Chart props
+   * @returns {Object} Laid out tree
+   */
+  _packData(data, props) {
+    const hierarchy = toHierarchy(data, this.accessors);
+    const scales = getColorScales(hierarchy, props);
+    this.bucket = scales.bucket;
+    this.color = scales.color;
+    this.textColor = scales.textColor;
+    this.legendText = scales.legendText;
+    this.pattern = scales.pattern;
+    this.colorLegend = props.colorLegend;
+    this.colorScale = props.colorScale;
+    const packOptions = {
+      fit: this.fit,
+      maxValue: props.maxValue,
+      accessors: this.accessors,
+      padding: this.padding,
+      isHidden: getIsHidden(scales, props.hiddenLegendItems),
+      facetBy: props.facetBy,
+      facetTitle: props.facetTitle,
+    };
+    this.adjustSize(this.configureLegend(props, scales, data, packOptions));
+    return packData(data, { ...packOptions, width: this.plot.width, height: this.plot.height });
+  }
+
+  /**
+   * Check the data with validateData when it changes and report the problems
+   * it finds. Returns the data to draw, which the `sanitize` validation rids
+   * of the data objects that have problems.
+   *
+   * @param {Object} props Chart props
+   * @param {string[]} changed Changed props
+   * @returns {Object|Object[]} Data to draw
+   */
+  _validateData(props, changed) {
+    if (this.validData && !changed.some(k => VALIDATION_PROPS.includes(k))) {
+      return this.validData;
+    }
+
+    if (props.validation === 'off') {
+      this.validData = props.data;
+      return this.validData;
+    }
 
-    // Define a color scale for our colorValues
-    this.color = d3.scaleQuantize()
-      .domain([
-        props.fixedDomain ? props.fixedDomain.min : d3.min(data, d => d.data.colorValue),
-        props.fixedDomain ? props.fixedDomain.max : d3.max(data, d => d.data.colorValue),
-      ])
-      .range(this.colorRange);
+    const { data, problems } = validateData(props.data, { ...props, sanitize: props.validation === 'sanitize' });
+    // Strict validation throws, and has to throw again on the next update
+    this.dataProblems = reportDataProblems(problems, props, this.dataProblems);
+    this.validData = data;
+    return data;
+  }
 
-    // Define a color scale for text town
-    this.textColor = d3.scaleQuantize()
-      .domain([
-        props.fixedDomain ? props.fixedDomain.min : d3.min(data, d => d.data.colorValue),
-        props.fixedDomain ? props.fixedDomain.max : d3.max(data, d => d.data.colorValue),
-      ])
-      .range(this.textColorRange);
+  /**
+   * Join the laid out nodes with the <circle>s in this.svg and the label <div>s
+   * in this.html, and transition them into place
+   *
+   * @param {Object} root Laid out tree
+   * @param {boolean} relabel Refill the label text
+   */
+  _updateSvg(root, relabel) {
+    const chart = this;
+    const { duration, ease } = this;
+    const delay = d => this.delays.get(d) || 0;
 
-    // Generate data with calculated layout values
-    const nodes = d3.hierarchy(data.length > 0 ? { children: data } : data)
-      .sum(d => d.value);
+    const key = joinKey(d => 'g' + d.id);
 
     // Assign new data to existing DOM for circles and labels
     this.circles = this.svg.selectAll('circle')
-      .data(this.bubble(nodes).descendants(), d => 'g' + d.data._id);
+      .data(root.descendants().filter(d => isCircleDrawn(d, this)), key);
     this.labels = this.html.selectAll('.bubble-label')
-      .data(this.bubble(nodes).descendants(), d => 'g' + d.data._id);
+      .data(root.descendants().filter(d => isLabelDrawn(d, this)), key);
+
+    // React renders into the labels in component mode, so the text that came
+    // from the server or from text mode has to go, and come back the other way.
+    // Labels also get their text again when it changed with the data or the
+    // labelAccessor.
+    if (this.labelMode === 'component') {
+      this.labels.each(removeTextNodes);
+    } else {
+      this.labels
+        .filter(function (d) {
+          return relabel || this.textContent !== String(getLabelText(d, chart) || '');
+        })
+        .call(this._fillLabels.bind(this));
+    }
 
     // Update - this is created before enter.append. it only applies to updating nodes.
     // create the transition on the updating elements before the entering elements
@@ -286,169 +977,1281 @@ export default class ReactBubbleChartD3 {
     this.circles
       .transition()
       .duration(duration)
-      .delay((d, i) => i * delay)
-      .attr('transform', d => 'translate(' + d.x + ',' + d.y + ')')
-      .attr('r', d => d.r)
-      .style('opacity', 1)
-      .style('fill', d => this.getCircleColor(d));
+      .ease(ease)
+      .delay(delay)
+      .call(this._placeCircles.bind(this));
     // For the labels we transition their height, width, left, top, and color
     this.labels
-      .on('mouseover', this._tooltipMouseOver.bind(this))
+      .call(this._configureLabelEvents.bind(this))
+      .style('pointer-events', d => this._labelPointerEvents(d))
+      .call(this._configureDrag.bind(this))
       .transition()
       .duration(duration)
-      .delay((d, i) => i * delay)
-      .style('height', d => 2 * d.r + 'px')
-      .style('width', d => 2 * d.r + 'px')
-      .style('left', d => d.x - d.r + 'px')
-      .style('top', d => d.y - d.r + 'px')
-      .style('opacity', 1)
-      .style('color', d => this.getLabelColor(d))
-      .attr('class', d => this.getLabelClass(d))
-      // We can pass in a fontSizeFactor here to set the label font-size as a factor of its corresponding circle's radius; this overrides CSS font-size styles set with the small, medium and large classes
-      .style('font-size', d => fontFactor ? fontFactor * d.r + 'px' : null);
+      .ease(ease)
+      .delay(delay)
+      .call(this._placeLabels.bind(this));
 
     // Enter - only applies to incoming elements (once emptying data)
-    if (this.bubble(nodes).descendants().length > 0) {
+    // they start out from the state of the enter animation
+    if (root.descendants().length > 0) {
       // Initialize new circles
       this.circles.enter()
-        .filter(d => !d.children)
         .append('circle')
-        .attr('transform', d => 'translate(' + d.x + ',' + d.y + ')')
-        .attr('r', 0)
-        .attr('class', d => classnames([
-          'bubble',
-          !d.children && 'leaf',
-          d.data.selected && 'selected',
-        ]))
-        .style('fill', d => this.getCircleColor(d))
+        .attr('transform', d => {
+          const { x, y } = this._enterState(d);
+          return 'translate(' + x + ',' + y + ')';
+        })
+        .attr('r', d => this._enterState(d).r)
+        .attr('class', d => this.getCircleClass(d))
+        .style('fill', d => this.getCircleFill(d))
+        .style('opacity', d => {
+          const { opacity } = this._enterState(d);
+          return opacity === undefined ? this._circleOpacity(d) : opacity;
+        })
         .transition()
         .duration(duration * 1.2)
-        .attr('transform', d => 'translate(' + d.x + ',' + d.y + ')')
-        .attr('r', d => d.r)
-        .style('opacity', 1);
-      // Intialize new labels
+        .ease(ease)
+        .call(this._placeCircles.bind(this));
+      // Intialize new labels, they keep their size and fade in
       this.labels.enter().append('div')
         .attr('class', d => this.getLabelClass(d))
-        .text(d => d.data.displayText || d.data._id)
-        .on('click', d => {
-          d3.event.stopPropagation();
-          props.onClick(d);
-        })
-        .on('mouseover', this._tooltipMouseOver.bind(this))
-        .on('mouseout', this._tooltipMouseOut.bind(this))
+        .call(this._fillLabels.bind(this))
+        .call(this._configureLabelEvents.bind(this))
+        .call(this._configureDrag.bind(this))
         .style('position', 'absolute')
         .style('height', d => 2 * d.r + 'px')
         .style('width', d => 2 * d.r + 'px')
-        .style('left', d => d.x - d.r + 'px')
-        .style('top', d => d.y - d.r + 'px')
+        .style('padding-top', d => isLabelBelow(d, this) ? 2 * d.r + 'px' : null)
+        .style('left', d => this._enterState(d).x - d.r + 'px')
+        .style('top', d => this._enterState(d).y - d.r + 'px')
         .style('color', d => this.getLabelColor(d))
         .style('opacity', 0)
+        .style('pointer-events', d => this._labelPointerEvents(d))
         .transition()
         .duration(duration * 1.2)
-        .style('opacity', 1)
-        .style('font-size', d => fontFactor ? fontFactor * d.r + 'px' : null);
+        .ease(ease)
+        .call(this._placeLabels.bind(this));
     }
 
     // Exit - only applies to... exiting elements
-    // for circles have them shrink to 0 as they're flying all over
+    // server rendered ones that have nothing to update to just go away
+    this.circles.exit().filter(d => !d).remove();
+    this.labels.exit().filter(d => !d).remove();
+    // For circles have them go to the state of the exit animation
     this.circles.exit()
+      .filter(d => d)
       .transition()
       .duration(duration)
+      .ease(ease)
       .attr('transform', d => {
-        const dy = d.y - this.diameter / 2;
-        const dx = d.x - this.diameter / 2;
-        const theta = Math.atan2(dy, dx);
-        const destX = this.diameter * (1 + Math.cos(theta)) / 2;
-        const destY = this.diameter * (1 + Math.sin(theta)) / 2;
-        return 'translate(' + destX + ',' + destY + ')';
+        const { x, y } = this._exitState(d);
+        return 'translate(' + x + ',' + y + ')';
+      })
+      .attr('r', d => this._exitState(d).r)
+      .styleTween('opacity', function (d) {
+        // Only fade the ones whose exit animation says so
+        const { opacity } = chart._exitState(d);
+        return opacity === undefined ? null : d3.interpolateNumber(window.getComputedStyle(this).opacity, opacity);
       })
-      .attr('r', 0)
       .remove();
-    // For text have them fade out as they're flying all over
+    // For text have them fade out as they go
     this.labels.exit()
+      .filter(d => d)
       .transition()
       .duration(duration)
+      .ease(ease)
       .style('top', d => {
-        const dy = d.y - this.diameter / 2;
-        const dx = d.x - this.diameter / 2;
-        const theta = Math.atan2(dy, dx);
-        const destY = this.diameter * (1 + Math.sin(theta)) / 2;
-        return destY + 'px';
+        const { y, r } = this._exitState(d);
+        return y - r + 'px';
       })
       .style('left', d => {
-        const dy = d.y - this.diameter / 2;
-        const dx = d.x - this.diameter / 2;
-        const theta = Math.atan2(dy, dx);
-        const destX = this.diameter * (1 + Math.cos(theta)) / 2;
-        return destX + 'px';
+        const { x, r } = this._exitState(d);
+        return x - r + 'px';
       })
       .style('opacity', 0)
-      .style('width', 0)
-      .style('height', 0)
-      .remove();
-
-    this._updateTooltip(
-      props.tooltippedDataId,
-      prevProps.tooltippedDataId,
-      props.data,
-      prevProps.data,
-    );
+      .style('width', d => 2 * this._exitState(d).r + 'px')
+      .style('height', d => 2 * this._exitState(d).r + 'px')
+      .attr('tabindex', null)
+      .remove()
+      .on('end.labels', () => {
+        // Let React know once they are all gone, not once per label
+        if (!this.labelsTimeout) {
+          this.labelsTimeout = d3.timeout(() => {
+            delete this.labelsTimeout;
+            this._reportLabels();
+          });
+        }
+      });
 
-    this.adjustTooltipPosition();
+    this._updateKeyboard();
   }
 
   /**
-   * On mouseover of a bubble, populate the tooltip with that elements info
-   * (if this.shouldCreateTooltip is true of course)
+   * Where the circles are going and how they look once there, on a selection
+   * or a transition
+   *
+   * @param {Object} selection Circles, or their transition
    */
-  _tooltipMouseOver(d) {
-    if (!this.shouldCreateTooltip) {
-      return;
-    }
+  _placeCircles(selection) {
+    selection
+      .attr('transform', d => 'translate(' + d.x + ',' + d.y + ')')
+      .attr('r', d => d.r)
+      .attr('class', d => this.getCircleClass(d))
+      .style('opacity', d => this._circleOpacity(d))
+      .style('fill', d => this.getCircleFill(d));
+  }
 
-    if (!this.tooltipShouldShow(d)) {
-      return;
+  _placeLabels(selection) {
+    selection
+      .style('height', d => 2 * d.r + 'px')
+      .style('width', d => 2 * d.r + 'px')
+      // Labels below their bubble are pushed out of it
+      .style('padding-top', d => isLabelBelow(d, this) ? 2 * d.r + 'px' : null)
+      .style('left', d => d.x - d.r + 'px')
+      .style('top', d => d.y - d.r + 'px')
+      .style('opacity', d => this._labelOpacity(d))
+      .style('pointer-events', d => this._labelPointerEvents(d))
+      .style('color', d => this.getLabelColor(d))
+      .attr('class', d => this.getLabelClass(d))
+      // We can pass in labelFit or a fontSizeFactor here to set the label font-size from its corresponding circle's radius; this overrides CSS font-size styles set with the small, medium and large classes
+      .style('font-size', d => {
+        const fontSize = this._getFontSize(d);
+        return fontSize === null ? null : fontSize + 'px';
+      });
+  }
+
+  /**
+   * The font size of a label in pixels from labelFit or fontSizeFactor, or
+   * null if it's up to the CSS
+   *
+   * @param {Object} d Node
+   * @returns {number} Font size, or null
+   */
+  _getFontSize(d) {
+    const fit = this.labelFits.get(d);
+    if (fit) {
+      return fit.fontSize;
     }
 
-    this.onTooltip(true, d);
+    return this.fontSizeFactor ? this.fontSizeFactor * d.r : null;
   }
 
   /**
-   * On tooltip mouseout, hide the tooltip.
+   * Find the font size and lines of every fitted label, measuring the text in
+   * the font of the container
+   *
+   * @param {Object} root Laid out tree
    */
-  _tooltipMouseOut(d) {
-    if (!this.shouldCreateTooltip) {
+  _fitLabels(root) {
+    this.labelFits = new Map();
+    if (!this.labelFit) {
       return;
     }
 
-    if (!this.tooltipShouldShow(d)) {
-      return;
+    const style = window.getComputedStyle(this.container);
+    if (!this.measureContext) {
+      this.measureContext = document.createElement('canvas').getContext('2d');
     }
 
-    this.onTooltip(false, d);
-  }
+    // Widths are proportional to the font size, so each text is measured
+    // once. without a canvas to measure with they are guessed.
+    const context = this.measureContext;
+    const widths = new Map();
+    if (context) {
+      context.font = style.fontWeight + ' 100px ' + style.fontFamily;
+    }
 
-  findNodeByDataId(id) {
-    return this.circles.data().concat(this.circles.enter().data())
-      .find(d => d.data._id === id);
+    this.measureText = context ? (text, fontSize) => {
+      if (!widths.has(text)) {
+        widths.set(text, context.measureText(text).width);
+      }
+
+      return widths.get(text) * fontSize / 100;
+    } : undefined;
+
+    for (const d of root.descendants()) {
+      if (isLabelDrawn(d, this) && isLabelFitted(d, this)) {
+        this.labelFits.set(d, getLabelFit(d, this));
+      }
+    }
   }
 
-  _updateTooltip(tooltippedDataId, prevTooltippedDataId, data, prevData) {
-    if (tooltippedDataId === prevTooltippedDataId && data === prevData) {
+  /**
+   * Fill the label <div>s with their text, fitted labels get a <div> for each
+   * of their lines and one for the value. In component mode React renders
+   * into them instead.
+   *
+   * @param {Object} selection Labels
+   */
+  _fillLabels(selection) {
+    if (this.labelMode === 'component') {
       return;
     }
 
-    const tooltippedNode = tooltippedDataId && this.findNodeByDataId(tooltippedDataId);
+    const chart = this;
+    selection.each(function (d) {
+      const fit = chart.labelFits.get(d);
+      const label = d3.select(this).text(fit ? null : getLabelText(d, chart));
+      if (!fit) {
+        return;
+      }
 
-    this._hideTooltip();
-    if (tooltippedNode) {
-      this._showTooltip(tooltippedNode);
-    }
-  }
+      for (const line of fit.lines) {
+        label.append('div')
+          .attr('class', 'bubble-label-line')
+          .text(line);
+      }
+
+      if (fit.value !== null) {
+        label.append('div')
+          .attr('class', 'bubble-label-value')
+          .text(fit.value);
+      }
+    });
+  }
+
+  /**
+   * The labels lie on top of the circles, so they get the mouse events of
+   * the bubbles. Those that are not handled here bubble up to this.html,
+   * which takes them as being on the background.
+   *
+   * @param {Object} selection Labels
+   */
+  _configureLabelEvents(selection) {
+    const handle = callback => d => {
+      d3.event.stopPropagation();
+      callback(d);
+    };
+
+    selection
+      .on('click', handle(d => this._bubbleClick(d)))
+      .on('dblclick', handle(d => this.props.onDoubleClick(d, d3.event)))
+      .on('contextmenu', handle(d => this.props.onContextMenu(d, d3.event)))
+      .on('pointerover', this._tooltipPointerOver.bind(this))
+      .on('pointerout', this._tooltipPointerOut.bind(this))
+      .on('mouseenter', d => this.props.onBubbleMouseEnter(d, d3.event))
+      .on('mouseleave', d => this.props.onBubbleMouseLeave(d, d3.event));
+  }
+
+  /**
+   * How long the bubbles take to move, until the last of them, staggered by
+   * the delay, has arrived
+   *
+   * @returns {number} Milliseconds
+   */
+  _transitionLength() {
+    return Math.max(this.duration * 1.2, (d3.max(this.delays.values()) || 0) + this.duration);
+  }
+
+  /**
+   * Call onTransitionStart as the bubbles start moving or fading and
+   * onTransitionEnd once they are done. An update in the middle of it pushes
+   * the end back instead of starting over, a quicker restyle leaves it be.
+   *
+   * @param {number} length Milliseconds until the bubbles are done
+   */
+  _transitionLifecycle(length) {
+    const now = d3.now();
+    if (this.transitionTimeout) {
+      this.transitionTimeout.stop();
+    } else {
+      this.transitionEnd = now;
+      this.props.onTransitionStart(this.root);
+    }
+
+    this.transitionEnd = Math.max(this.transitionEnd, now + length);
+    this.transitionTimeout = d3.timeout(() => {
+      delete this.transitionTimeout;
+      this.props.onTransitionEnd(this.root);
+    }, this.transitionEnd - now);
+  }
+
+  /**
+   * How long each bubble waits before it starts moving, so that they don't
+   * all move at once: in the order of the data, from the biggest to the
+   * smallest, from the center out, or as a function of the node and its index
+   *
+   * @param {Object[]} nodes Drawn nodes
+   * @returns {Map} Delay of each node
+   */
+  _getDelays(nodes) {
+    const { stagger, delay } = this;
+    if (typeof stagger === 'function') {
+      return new Map(nodes.map((d, i) => [ d, stagger(d, i) ]));
+    }
+
+    let order = nodes;
+    if (stagger === 'size') {
+      order = nodes.slice().sort((a, b) => b.r - a.r);
+    } else if (stagger === 'distance') {
+      const distance = d => Math.hypot(d.x - this.plot.width / 2, d.y - this.plot.height / 2);
+      order = nodes.slice().sort((a, b) => distance(a) - distance(b));
+    }
+
+    return new Map(order.map((d, i) => [ d, i * delay ]));
+  }
+
+  /**
+   * Where entering bubbles start out from: grown from nothing where they
+   * belong, faded in, flown in from the edge of the chart or out of their
+   * parent. The opacity is only there if it's not their own.
+   *
+   * @param {Object} d Entering node
+   * @returns {Object} Starting x, y, r and opacity
+   */
+  _enterState(d) {
+    if (this.enterAnimation === 'fade') {
+      return { x: d.x, y: d.y, r: d.r, opacity: 0 };
+    }
+
+    if (this.enterAnimation === 'radial-fly') {
+      return { ...this._exitPosition(d), r: 0 };
+    }
+
+    if (this.enterAnimation === 'from-parent' && d.parent) {
+      return { x: d.parent.x, y: d.parent.y, r: 0 };
+    }
+
+    return { x: d.x, y: d.y, r: 0 };
+  }
+
+  /**
+   * Where exiting bubbles go, the other way around: shrunk to nothing,
+   * faded out, flown out to the edge or into where their parent was
+   *
+   * @param {Object} d Exiting node
+   * @returns {Object} Final x, y, r and opacity
+   */
+  _exitState(d) {
+    if (this.exitAnimation === 'fade') {
+      return { x: d.x, y: d.y, r: d.r, opacity: 0 };
+    }
+
+    if (this.exitAnimation === 'grow') {
+      return { x: d.x, y: d.y, r: 0 };
+    }
+
+    if (this.exitAnimation === 'from-parent' && d.parent) {
+      return { x: d.parent.x, y: d.parent.y, r: 0 };
+    }
+
+    return { ...this._exitPosition(d), r: 0 };
+  }
+
+  /**
+   * Bubbles outside of the focus are hidden, the ones that don't match the
+   * highlight fade out and lose their labels, and the ones outside of the
+   * highlighted legend item are dimmed
+   *
+   * @param {Object} d Node
+   * @returns {number} Circle opacity
+   */
+  _circleOpacity(d) {
+    if (!isCircleInFocus(d, this.focus)) {
+      return 0;
+    }
+
+    if (isFaded(d, this)) {
+      return this.highlightOpacity;
+    }
+
+    return this._isDimmed(d) ? DIMMED_OPACITY : 1;
+  }
+
+  _labelOpacity(d) {
+    if (!isLabelInFocus(d, this.focus) || isFaded(d, this)) {
+      return 0;
+    }
+
+    return this._isDimmed(d) ? DIMMED_OPACITY : 1;
+  }
+
+  /**
+   * Labels that can't be seen can't be hovered or clicked either, like the
+   * server rendered ones
+   *
+   * @param {Object} d Node
+   * @returns {string} pointer-events style
+   */
+  _labelPointerEvents(d) {
+    return this._labelOpacity(d) ? null : 'none';
+  }
+
+  _isDimmed(d) {
+    return this.highlightedBucket !== undefined && this.bucket(d.data) !== this.highlightedBucket;
+  }
+
+  _highlightBucket(key) {
+    if (key === this.highlightedBucket) {
+      return;
+    }
+
+    this.highlightedBucket = key;
+    this.legend.selectAll('.legend-key, .legend-tick')
+      .classed('highlighted', c => Boolean(c) && c.key !== undefined && c.key === key);
+    this._restyle();
+  }
+
+  /**
+   * Fade the bubbles to their opacity and color without moving them, after
+   * highlighting or selecting some, or hovering over the legend
+   */
+  _restyle() {
+    if (!this.root) {
+      return;
+    }
+
+    if (this.renderer === 'canvas') {
+      this._updateCanvas(this.root);
+      return;
+    }
+
+    this.svg.selectAll('circle')
+      .filter(d => d && isCircleInFocus(d, this.focus))
+      .attr('class', d => this.getCircleClass(d))
+      .transition('restyle')
+      .duration(this.duration / 2)
+      .ease(this.ease)
+      .style('opacity', d => this._circleOpacity(d))
+      .style('fill', d => this.getCircleFill(d));
+    this.html.selectAll('.bubble-label')
+      .filter(d => d && isLabelInFocus(d, this.focus))
+      .attr('class', d => this.getLabelClass(d))
+      .style('pointer-events', d => this._labelPointerEvents(d))
+      .transition('restyle')
+      .duration(this.duration / 2)
+      .ease(this.ease)
+      .style('opacity', d => this._labelOpacity(d))
+      .style('color', d => this.getLabelColor(d));
+    this._updateKeyboard();
+  }
+
+  /**
+   * Tell React which label <div>s to render labelComponent into, exiting ones
+   * included so that they keep their content while they fly out
+   */
+  _reportLabels() {
+    if (!this.onLabels) {
+      return;
+    }
+
+    const labels = [];
+    if (this.labelMode === 'component' && this.renderer !== 'canvas') {
+      const chart = this;
+      // The made up root of a data array has nothing to label
+      this.html.selectAll('.bubble-label')
+        .filter(d => d && (d.parent || d.id !== undefined))
+        .each(function (d) {
+          labels.push({ element: this, d, size: getLabelSize(d, chart) });
+        });
+    }
+
+    this.onLabels(labels);
+  }
+
+  /**
+   * Hand the laid out nodes over to the canvas renderer, with everything it
+   * needs to draw and animate them
+   *
+   * @param {Object} root Laid out tree
+   */
+  _updateCanvas(root) {
+    const style = window.getComputedStyle(this.container);
+    const baseFontSize = parseFloat(style.fontSize);
+    // Mimic the font sizes of the small, medium and large classes from style.css
+    const fontSize = d => {
+      const size = this._getFontSize(d);
+      if (size !== null) {
+        return size;
+      }
+
+      if (2 * d.r < this.smallDiameter) {
+        return 0;
+      }
+
+      return 2 * d.r < this.mediumDiameter ? 0.8 * baseFontSize : baseFontSize;
+    };
+
+    const entries = root.descendants().filter(d => isLabelDrawn(d, this)).map(d => {
+      const target = {
+        x: d.x,
+        y: d.y,
+        r: d.r,
+        fill: this.getCircleColor(d) || (d.children ? 'rgba(0, 0, 0, 0.05)' : '#000000'),
+        opacity: isCircleDrawn(d, this) ? this._circleOpacity(d) : 0,
+        color: this.getLabelColor(d) || '#000000',
+        textOpacity: this._labelOpacity(d),
+        fontSize: fontSize(d),
+      };
+      return {
+        key: 'g' + d.id,
+        d,
+        target,
+        enter: { ...target, ...this._enterState(d), textOpacity: 0 },
+        delay: this.delays.get(d) || 0,
+        text: String(getLabelText(d, this) || ''),
+        fit: this.labelFits.get(d) || null,
+        top: this.hierarchical && Boolean(d.children),
+        below: isLabelBelow(d, this),
+        fillPattern: getCircleFillPattern(d, this),
+        hit: isLabelInFocus(d, this.focus),
+      };
+    });
+
+    this.html.call(this._configureDrag.bind(this));
+    this.canvasRenderer.fontFamily = style.fontFamily;
+    this.canvasRenderer.update(entries, {
+      duration: this.duration,
+      ease: this.ease,
+      exitState: this._exitState.bind(this),
+    });
+  }
+
+  /**
+   * Keep the sizes from the pack layout, but position the leaves with a force
+   * simulation instead, starting from where they were before the update so
+   * that the transitions look natural. The simulation is run to completion
+   * right away and only restarted while dragging bubbles around.
+   *
+   * @param {Object} root Laid out tree
+   * @param {Object} [previousRoot] Tree of the last update
+   */
+  forceLayout(root, previousRoot) {
+    const previous = new Map(previousRoot ? previousRoot.leaves().map(d => [ d.id, d ]) : []);
+    const leaves = root.leaves();
+    // Facets pull their bubbles to where they were packed into their cells
+    const facetCenters = root.facets && new Map(root.facets.map(({ key }) => {
+      const facetLeaves = leaves.filter(d => d.facet === key);
+      return [ key, { x: d3.mean(facetLeaves, d => d.x), y: d3.mean(facetLeaves, d => d.y) } ];
+    }));
+    for (const d of leaves) {
+      const p = previous.get(d.id);
+      if (p) {
+        d.x = p.x;
+        d.y = p.y;
+      }
+    }
+
+    // When clustering, spread the centers of the groups evenly on a circle
+    const groups = this.forceCluster ? [ ...new Set(leaves.map(d => d.data.group)) ] : [ undefined ];
+    const spread = groups.length > 1 ? this.diameter / 4 : 0;
+    const centers = new Map(groups.map((group, i) => {
+      const theta = 2 * Math.PI * i / groups.length - Math.PI / 2;
+      return [ group, {
+        x: this.plot.width / 2 + spread * Math.cos(theta),
+        y: this.plot.height / 2 + spread * Math.sin(theta),
+      } ];
+    }));
+    const center = d => facetCenters ?
+      facetCenters.get(d.facet) :
+      centers.get(this.forceCluster ? d.data.group : undefined);
+    const strength = groups.length > 1 || facetCenters ? 0.1 : 0.05;
+
+    this.simulation = d3.forceSimulation(leaves)
+      // Half of the pack padding on each side
+      .force('collide', d3.forceCollide(d => d.r + this.padding / 2))
+      .force('x', d3.forceX(d => center(d).x).strength(strength))
+      .force('y', d3.forceY(d => center(d).y).strength(strength))
+      .on('tick', this._forceTicked.bind(this))
+      .stop();
+
+    const ticks = Math.ceil(Math.log(this.simulation.alphaMin()) / Math.log(1 - this.simulation.alphaDecay()));
+    for (let i = 0; i < ticks; i++) {
+      this.simulation.tick();
+    }
+  }
+
+  /**
+   * Bubbles can only be dragged around in force layout
+   *
+   * @param {Object} selection Labels
+   */
+  _configureDrag(selection) {
+    if (this.layout !== 'force') {
+      selection.on('.drag', null);
+      return;
+    }
+
+    const drag = d3.drag()
+      .on('start', () => {
+        const d = d3.event.subject;
+        if (!d3.event.active) {
+          this.simulation.alphaTarget(0.3).restart();
+        }
+
+        d.fx = d.x;
+        d.fy = d.y;
+      })
+      .on('drag', () => {
+        const d = d3.event.subject;
+        d.fx = d3.event.x;
+        d.fy = d3.event.y;
+      })
+      .on('end', () => {
+        const d = d3.event.subject;
+        if (!d3.event.active) {
+          this.simulation.alphaTarget(0);
+        }
+
+        d.fx = null;
+        d.fy = null;
+      });
+
+    // On a canvas the whole of this.html is dragged, find out which bubble
+    if (this.canvasRenderer) {
+      drag
+        .container(function () {
+          return this;
+        })
+        .subject(() => this.canvasRenderer.nodeAt(d3.event.x, d3.event.y));
+    }
+
+    selection.call(drag);
+  }
+
+  /**
+   * While the simulation is running live, move the bubbles without transitions
+   */
+  _forceTicked() {
+    if (this.canvasRenderer) {
+      this.canvasRenderer.syncPositions();
+      this.adjustTooltipPosition();
+      return;
+    }
+
+    const nodes = new Set(this.simulation.nodes());
+    this.svg.selectAll('circle')
+      .filter(d => nodes.has(d))
+      .interrupt()
+      .attr('transform', d => 'translate(' + d.x + ',' + d.y + ')');
+    this.html.selectAll('.bubble-label')
+      .filter(d => nodes.has(d))
+      .interrupt()
+      .style('left', d => d.x - d.r + 'px')
+      .style('top', d => d.y - d.r + 'px');
+    this.adjustTooltipPosition();
+  }
+
+  /**
+   * Clicking on a parent zooms into it when zoomable, otherwise let the
+   * outside world know. With shift or ctrl held down it is selected or
+   * unselected instead, if selecting is enabled.
+   *
+   * @param {Object} d Clicked node
+   */
+  _bubbleClick(d) {
+    const { event } = d3;
+    // Drags that select bubbles may start and end on a parent
+    if (this.selectionDragged) {
+      return;
+    }
+
+    this._tooltipClick(d);
+    if (this.selectionMode && event && (event.shiftKey || event.ctrlKey || event.metaKey)) {
+      const ids = this._selectedIds();
+      const { id } = d;
+      this.onSelectionChange(ids.includes(id) ? ids.filter(i => i !== id) : ids.concat([ id ]));
+    } else if (this.zoomable && d.children) {
+      this.onFocus(d);
+    } else {
+      this.props.onClick(d, event);
+    }
+  }
+
+  /**
+   * Bubbles that are in focus can be reached with the keyboard, only one of
+   * them is in the tab order at a time and the arrow keys move between them.
+   * Faded ones are left out of the tab order and skipped by the arrow keys.
+   */
+  _updateKeyboard() {
+    const isFocusable = d => this._isFocusable(d);
+    const nodes = this.root.descendants().filter(d => this._isReachable(d));
+    if (!nodes.some(d => d.id === this.keyboardId)) {
+      this.keyboardId = nodes.length > 0 ? nodes[0].id : undefined;
+    }
+
+    const labels = this.html.selectAll('.bubble-label')
+      .attr('role', d => isFocusable(d) ? 'button' : null)
+      .attr('aria-label', d => isFocusable(d) ? getAriaLabel(d, this) : null)
+      .attr('aria-hidden', d => isFocusable(d) ? null : 'true')
+      .on('keydown', this._labelKeyDown.bind(this))
+      .on('focus', this._labelFocus.bind(this))
+      .on('blur', this._labelBlur.bind(this));
+    this._updateTabIndex();
+
+    // Zooming in or out may have taken away the bubble that has the focus
+    const { activeElement } = this.container.ownerDocument;
+    const active = labels.filter(function () {
+      return this === activeElement;
+    });
+    if (!active.empty() && !isFocusable(active.datum())) {
+      this._focusLabel(this.keyboardId);
+    }
+  }
+
+  _updateTabIndex() {
+    this.html.selectAll('.bubble-label')
+      .attr('tabindex', d => {
+        if (!this._isFocusable(d)) {
+          return null;
+        }
+
+        return d.id === this.keyboardId ? 0 : -1;
+      });
+  }
+
+  /**
+   * The zoomed in node, or the root, is the whole chart and not a stop of its own
+   *
+   * @param {Object} d Node
+   * @returns {boolean} Can take the focus
+   */
+  _isFocusable(d) {
+    return Boolean(d) && d !== this.focus && isCircleDrawn(d, this) && isLabelInFocus(d, this.focus);
+  }
+
+  _isReachable(d) {
+    return this._isFocusable(d) && !isFaded(d, this);
+  }
+
+  _focusLabel(id) {
+    const label = this.html.selectAll('.bubble-label')
+      .filter(d => this._isFocusable(d) && d.id === id);
+    if (!label.empty()) {
+      label.node().focus();
+    }
+  }
+
+  /**
+   * Focusing a bubble, with the keyboard or otherwise, shows its tooltip and
+   * makes it the one that is in the tab order
+   *
+   * @param {Object} d Focused node
+   */
+  _labelFocus(d) {
+    this.keyboardId = d.id;
+    this._updateTabIndex();
+    if (this._tooltipFollowsFocus()) {
+      this._tooltipMouseOver(d);
+    }
+  }
+
+  _labelBlur(d) {
+    if (this._tooltipFollowsFocus()) {
+      this._tooltipMouseOut(d);
+    }
+  }
+
+  /**
+   * Hover tooltips show on focus too, so that keyboard users get them
+   *
+   * @returns {boolean} Focus shows the tooltip
+   */
+  _tooltipFollowsFocus() {
+    return (this.tooltipTrigger === 'hover' || this.tooltipTrigger === 'focus') && !this.tooltipPinned;
+  }
+
+  /**
+   * Enter and space click the bubble, escape zooms out and the arrow keys
+   * move to the next bubble over
+   *
+   * @param {Object} d Focused node
+   */
+  _labelKeyDown(d) {
+    const { key } = d3.event;
+    if (key === 'Enter' || key === ' ') {
+      d3.event.preventDefault();
+      this._bubbleClick(d);
+    } else if (key === 'Escape') {
+      this._backgroundClick();
+    } else if (ARROWS[key]) {
+      d3.event.preventDefault();
+      const neighbor = this._neighbor(d, ARROWS[key]);
+      if (neighbor) {
+        this._focusLabel(neighbor.id);
+      }
+    }
+  }
+
+  /**
+   * The closest bubble in the given direction, favoring the ones that are
+   * straight ahead over the ones off to the side
+   *
+   * @param {Object} d Starting node
+   * @param {number[]} direction x and y of the arrow key
+   * @returns {Object} Neighbor, if any
+   */
+  _neighbor(d, [ dx, dy ]) {
+    let neighbor;
+    let best = Infinity;
+    for (const n of this.root.descendants()) {
+      const x = n.x - d.x;
+      const y = n.y - d.y;
+      const ahead = x * dx + y * dy;
+      if (n !== d && ahead > 0 && this._isReachable(n)) {
+        const score = ahead + 2 * Math.abs(x * dy - y * dx);
+        if (score < best) {
+          best = score;
+          neighbor = n;
+        }
+      }
+    }
+
+    return neighbor;
+  }
+
+  /**
+   * Clicks that got through to this.html either hit a bubble drawn on the
+   * canvas or the background
+   */
+  _htmlClick() {
+    if (this.selectionDragged || this.tooltip.node().contains(d3.event.target)) {
+      return;
+    }
+
+    const d = this.canvasRenderer && this.canvasRenderer.nodeAt(...d3.mouse(this.html.node()));
+    if (d) {
+      this._bubbleClick(d);
+    } else {
+      this.props.onBackgroundClick(this.focus, d3.event);
+      this._unpinTooltip();
+      this._backgroundClick();
+    }
+  }
+
+  /**
+   * Double clicks and context menus that got through to this.html, only the
+   * ones on bubbles drawn on the canvas are passed on
+   *
+   * @param {string} callback Prop to call
+   */
+  _htmlBubbleEvent(callback) {
+    if (!this.canvasRenderer || this.tooltip.node().contains(d3.event.target)) {
+      return;
+    }
+
+    const d = this.canvasRenderer.nodeAt(...d3.mouse(this.html.node()));
+    if (d) {
+      this.props[callback](d, d3.event);
+    }
+  }
+
+  /**
+   * Clicking anywhere outside of a bubble zooms out one level
+   */
+  _backgroundClick() {
+    if (!this.zoomable || !this.focus || !this.focus.parent) {
+      return;
+    }
+
+    this.onFocus(this.focus.parent);
+  }
+
+  /**
+   * The ids of the selected bubbles, from selectedIds or else from the
+   * `selected` flags of the data
+   *
+   * @returns {string[]} Selected ids
+   */
+  _selectedIds() {
+    if (this.selectedIds) {
+      return [ ...this.selectedIds ];
+    }
+
+    return this.root.descendants()
+      .filter(d => this.accessors.selected(d.data))
+      .map(d => d.id);
+  }
+
+  /**
+   * Dragging over the background draws a rectangle (brush) or a freehand
+   * lasso around the bubbles to select. With shift or ctrl held down they
+   * are added to the selection instead of replacing it. The circles of
+   * parents are the background of their children, so drags start on them too.
+   */
+  _selectionStart() {
+    const { event } = d3;
+    const mode = this.selectionMode;
+    const htmlNode = this.html.node();
+    if ((mode !== 'brush' && mode !== 'lasso') || !this.root || event.button !== 0) {
+      return;
+    }
+
+    const label = event.target.closest('.bubble-label');
+    if (!label && event.target !== htmlNode) {
+      return;
+    }
+
+    // Bubbles drawn on the canvas are hit on this.html
+    const d = label ? d3.select(label).datum() : this.canvasRenderer && this.canvasRenderer.nodeAt(...d3.mouse(htmlNode));
+    if (label ? !(d && d.children) : d && !d.children) {
+      return;
+    }
+
+    const start = d3.mouse(htmlNode);
+    // Don't select the text of the labels while dragging
+    event.preventDefault();
+    const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+    const points = [ start ];
+    const overlay = this.html.append('svg')
+      .attr('class', 'bubble-chart-selection ' + mode)
+      .style('position', 'absolute')
+      .style('left', 0)
+      .style('top', 0)
+      .style('width', '100%')
+      .style('height', '100%')
+      .style('overflow', 'visible')
+      .style('pointer-events', 'none');
+    const outline = overlay.append('path');
+    const polygon = () => {
+      if (mode === 'lasso') {
+        return points;
+      }
+
+      const [ x0, y0 ] = start;
+      const [ x1, y1 ] = points[points.length - 1];
+      return [ [ x0, y0 ], [ x1, y0 ], [ x1, y1 ], [ x0, y1 ] ];
+    };
+
+    // Other charts may be selecting at the same time
+    const namespace = '.selection' + this.chartId;
+    const view = d3.select(window);
+    view
+      .on('mousemove' + namespace, () => {
+        points.push(d3.mouse(htmlNode));
+        outline.attr('d', 'M' + polygon().join('L') + 'Z');
+      })
+      .on('mouseup' + namespace, () => {
+        view.on(namespace, null);
+        overlay.remove();
+        const dragged = points.some(([ x, y ]) => Math.hypot(x - start[0], y - start[1]) >= MIN_SELECTION_DRAG);
+        if (!dragged || !this.root) {
+          return;
+        }
+
+        // The click that follows the drag must not zoom out
+        this.selectionDragged = true;
+        this.selectionDraggedTimeout = d3.timeout(() => {
+          delete this.selectionDragged;
+          delete this.selectionDraggedTimeout;
+        });
+
+        const inside = polygon();
+        const ids = this.root.descendants()
+          .filter(d => this._isFocusable(d) && d3.polygonContains(inside, [ d.x, d.y ]))
+          .map(d => d.id);
+        this.onSelectionChange(additive ? [ ...new Set(this._selectedIds().concat(ids)) ] : ids);
+      });
+  }
+
+  /**
+   * The canvas equivalent of the labels' mouseover and mouseout
+   */
+  _canvasMouseMove() {
+    if (this.tooltip.node().contains(d3.event.target)) {
+      return;
+    }
+
+    const d = this.canvasRenderer.nodeAt(...d3.mouse(this.html.node()));
+    if (d === this.hoveredNode) {
+      return;
+    }
+
+    this._canvasMouseLeave();
+    this.hoveredNode = d;
+    this.html.style('cursor', d ? 'pointer' : null);
+    if (d) {
+      this.props.onBubbleMouseEnter(d, d3.event);
+      this._tooltipPointerOver(d);
+    }
+  }
+
+  _canvasMouseLeave() {
+    if (this.hoveredNode) {
+      this.props.onBubbleMouseLeave(this.hoveredNode, d3.event);
+      this._tooltipPointerOut(this.hoveredNode);
+    }
+
+    delete this.hoveredNode;
+    this.html.style('cursor', null);
+  }
+
+  /**
+   * Exiting bubbles fly from the center of the chart out to its edge
+   *
+   * @param {Object} d Exiting node
+   * @returns {Object} x and y
+   */
+  _exitPosition(d) {
+    const { width, height } = this.plot;
+    const theta = Math.atan2(d.y - height / 2, d.x - width / 2);
+    return {
+      x: width * (1 + Math.cos(theta)) / 2,
+      y: height * (1 + Math.sin(theta)) / 2,
+    };
+  }
+
+  /**
+   * On mouseover of a bubble, populate the tooltip with that elements info
+   * (if this.shouldCreateTooltip is true of course)
+   */
+  _tooltipMouseOver(d) {
+    if (!this.shouldCreateTooltip) {
+      return;
+    }
+
+    if (!this.tooltipShouldShow(d)) {
+      return;
+    }
+
+    this.onTooltip(true, d);
+  }
+
+  /**
+   * On tooltip mouseout, hide the tooltip.
+   */
+  _tooltipMouseOut(d) {
+    if (!this.shouldCreateTooltip) {
+      return;
+    }
+
+    if (!this.tooltipShouldShow(d)) {
+      return;
+    }
+
+    this.onTooltip(false, d);
+  }
+
+  /**
+   * With tooltipTrigger hover, a mouse or pen over a bubble shows its tooltip.
+   * Touch has no hover, tapping pins the tooltip instead.
+   *
+   * @param {Object} d Hovered node
+   */
+  _tooltipPointerOver(d) {
+    if (!this._tooltipFollowsPointer()) {
+      return;
+    }
+
+    this._cancelTooltipHide();
+    this._tooltipMouseOver(d);
+  }
+
+  /**
+   * Hide the tooltip a moment after the pointer left, which leaves the time
+   * to move it into the tooltip to click on a link in there
+   *
+   * @param {Object} d Hovered node
+   */
+  _tooltipPointerOut(d) {
+    if (!d || !this._tooltipFollowsPointer()) {
+      return;
+    }
+
+    this._cancelTooltipHide();
+    this.tooltipHideTimeout = d3.timeout(() => {
+      delete this.tooltipHideTimeout;
+      this._tooltipMouseOut(d);
+    }, TOOLTIP_HIDE_DELAY);
+  }
+
+  _tooltipFollowsPointer() {
+    const { event } = d3;
+    return this.tooltipTrigger === 'hover' && !this.tooltipPinned && !(event && event.pointerType === 'touch');
+  }
+
+  _cancelTooltipHide() {
+    if (this.tooltipHideTimeout) {
+      this.tooltipHideTimeout.stop();
+      delete this.tooltipHideTimeout;
+    }
+  }
+
+  /**
+   * With tooltipTrigger click, or hover on a touch device, clicking a bubble
+   * pins its tooltip. It stays open until the bubble is clicked again, or a
+   * click outside of it or escape closes it.
+   *
+   * @param {Object} d Clicked node
+   */
+  _tooltipClick(d) {
+    const touch = this.pointerType === 'touch';
+    if (this.tooltipTrigger !== 'click' && !(this.tooltipTrigger === 'hover' && touch)) {
+      return;
+    }
+
+    const { id } = d;
+    if (this.tooltipPinned === id) {
+      this._unpinTooltip();
+      return;
+    }
+
+    this._cancelTooltipHide();
+    this.tooltipPinned = id;
+    this._tooltipMouseOver(d);
+    d3.select(window)
+      .on('pointerdown.tooltip' + this.chartId, () => {
+        if (!this.container.contains(d3.event.target)) {
+          this._unpinTooltip();
+        }
+      }, true)
+      .on('keydown.tooltip' + this.chartId, () => {
+        if (d3.event.key === 'Escape') {
+          this._unpinTooltip();
+        }
+      });
+  }
+
+  _unpinTooltip() {
+    if (this.tooltipPinned === undefined) {
+      return;
+    }
+
+    const d = this.findNodeByDataId(this.tooltipPinned);
+    delete this.tooltipPinned;
+    d3.select(window).on('.tooltip' + this.chartId, null);
+    if (this.shouldCreateTooltip) {
+      this.onTooltip(false, d);
+    }
+  }
+
+  /**
+   * Draw the eye to a bubble: zoom into its parent first if it's zoomable and
+   * not zoomed into already, then pulse it once the bubbles have settled.
+   * Returns false if there's no such bubble.
+   *
+   * @param {string} id Bubble id
+   * @returns {boolean} Found the bubble
+   */
+  reveal(id) {
+    const d = this.findNodeByDataId(id);
+    if (!d) {
+      return false;
+    }
+
+    if (this.zoomable && d.parent && d.parent !== this.focus) {
+      this.onFocus(d.parent);
+    }
+
+    if (this.revealTimeout) {
+      this.revealTimeout.stop();
+    }
+
+    // Zooming lays the chart out again, which React may not have gotten
+    // around to yet, so wait for that and look the node up again
+    const pulse = () => {
+      if (this.transitionTimeout) {
+        this.revealTimeout = d3.timeout(pulse, Math.max(this.transitionEnd - d3.now(), 0));
+        return;
+      }
+
+      delete this.revealTimeout;
+      this._pulse(id);
+    };
+
+    this.revealTimeout = d3.timeout(pulse);
+    return true;
+  }
+
+  _pulse(id) {
+    const d = this.findNodeByDataId(id);
+    if (!d) {
+      return;
+    }
+
+    if (this.canvasRenderer) {
+      this.canvasRenderer.pulse('g' + id, { start: d3.now(), duration: this.duration });
+      return;
+    }
+
+    this.svg.selectAll('circle')
+      .filter(n => n === d)
+      .transition('pulse')
+      .duration(this.duration / 2)
+      .ease(this.ease)
+      .attr('r', d.r * (1 + PULSE_SCALE))
+      .transition()
+      .duration(this.duration / 2)
+      .attr('r', d.r);
+  }
+
+  /**
+   * Stop the transitions that are running and jump to where they were going,
+   * the exiting bubbles are removed right away
+   */
+  finishTransitions() {
+    if (this.revealTimeout) {
+      this.revealTimeout.stop();
+      delete this.revealTimeout;
+    }
+
+    if (this.canvasRenderer) {
+      this.canvasRenderer.finish();
+    } else if (this.root) {
+      const nodes = new Set(this.root.descendants());
+      const circles = this.svg.selectAll('circle');
+      const labels = this.html.selectAll('.bubble-label');
+      for (const name of TRANSITION_NAMES) {
+        circles.interrupt(name);
+        labels.interrupt(name);
+      }
+
+      circles.filter(d => !nodes.has(d)).remove();
+      labels.filter(d => !nodes.has(d)).remove();
+      this.svg.selectAll('circle').call(this._placeCircles.bind(this));
+      this.html.selectAll('.bubble-label').call(this._placeLabels.bind(this));
+      this._reportLabels();
+    }
+
+    if (this.transitionTimeout) {
+      this.transitionTimeout.stop();
+      delete this.transitionTimeout;
+      this.props.onTransitionEnd(this.root);
+    }
+  }
+
+  /**
+   * Where the bubble of a node is, in pixels from the top left corner of the
+   * container, or null if there's no such bubble
+   *
+   * @param {string} id Bubble id
+   * @returns {Object} x, y and r
+   */
+  getNodeLayout(id) {
+    const d = this.findNodeByDataId(id);
+    if (!d) {
+      return null;
+    }
+
+    const htmlNode = this.html.node();
+    return {
+      x: htmlNode.offsetLeft + d.x,
+      y: htmlNode.offsetTop + d.y,
+      r: d.r,
+    };
+  }
+
+  findNodeByDataId(id) {
+    return this.root && this.root.descendants()
+      .find(d => d.id === id);
+  }
+
+  _updateTooltip(tooltippedDataId, prevTooltippedDataId, data, prevData) {
+    if (tooltippedDataId === prevTooltippedDataId && data === prevData) {
+      return;
+    }
+
+    const tooltippedNode = tooltippedDataId && this.findNodeByDataId(tooltippedDataId);
+
+    this._hideTooltip();
+    if (tooltippedNode) {
+      this._showTooltip(tooltippedNode);
+    }
+  }
 
   _showTooltip(d) {
     // Fade the popup fill mixing the shape fill with 80% white
-    const fill = this.color(d.data.colorValue);
+    const fill = this.color(d.data);
     const backgroundColor = d3.rgb(
       d3.rgb(fill).r + 0.8 * (255 - d3.rgb(fill).r),
       d3.rgb(fill).g + 0.8 * (255 - d3.rgb(fill).g),
@@ -465,7 +2268,7 @@ export default class ReactBubbleChartD3 {
 
     if (this.tooltipMode !== 'component') {
       for (const { css, prop, display } of this.tooltipProps) {
-        this.tooltip.select('.' + css).html((display ? display + ': ' : '') + d.data[prop]);
+        this.tooltip.select('.' + css).html((display ? display + ': ' : '') + toAccessor(prop)(d.data));
       }
     }
 
@@ -496,40 +2299,55 @@ export default class ReactBubbleChartD3 {
       y: htmlNode.offsetTop,
     };
 
-    // Calculate where the top is going to be. ideally it is
-    // (d.y - height/2) which'll put the tooltip in the middle of the bubble.
-    // we need to account for if this'll put it out of bounds.
-    let top;
-    // If it goes above the bounds, have the top be the margin
-    if (origin.y + d.y - height < 0) {
-      top = margin;
-    // If it goes below the bounds, have its buttom be a margin length away
-    } else if (origin.y + d.y + height / 2 > this.container.offsetHeight) {
-      top = this.container.offsetHeight - height - margin;
-    // Otherwise smack this bad boy in the middle of its bubble
-    } else {
-      top = d.y - height / 2;
-    }
+    const containerWidth = this.container.offsetWidth;
+    const containerHeight = this.container.offsetHeight;
+    // Whether the tooltip fits on each side of the bubble
+    const fits = {
+      right: origin.x + d.x + d.r + width + margin < containerWidth,
+      left: origin.x + d.x - d.r - width - margin > 0,
+      top: origin.y + d.y - d.r - height - margin > 0,
+      bottom: origin.y + d.y + d.r + height + margin < containerHeight,
+    };
+    const sides = TOOLTIP_SIDES[this.tooltipPlacement];
+    let side = sides.find(s => fits[s]);
 
-    // Calculate where the left is going to be. ideally it is
-    // (d.x + d.r + margin) which will put the tooltip to the right
-    // of the bubble. we need to account for the case where this puts
-    // the tooltip out of bounds.
+    let top;
     let left;
-    let side = 'right';
-    // If there's room to put it on the right of the bubble, do so
-    if (origin.x + d.x + d.r + width + margin < this.container.offsetWidth) {
-      left = d.x + d.r + margin;
-    // If there's room to put it on the left of the bubble, do so
-    } else if (origin.x + d.x - d.r - width - margin > 0) {
-      left = d.x - d.r - width - margin;
-      side = 'left';
-    // Otherwise put it on the right part of its container
+    if (sides[0] === 'top' || sides[0] === 'bottom') {
+      // Above or below the bubble, centered on it as long as that stays in
+      // bounds. if it fits on neither side it overlaps the bubble instead.
+      side = side || sides[0];
+      left = Math.max(margin - origin.x, Math.min(d.x - width / 2, containerWidth - origin.x - width - margin));
+      top = side === 'top' ? d.y - d.r - height - margin : d.y + d.r + margin;
+      top = Math.max(margin - origin.y, Math.min(top, containerHeight - origin.y - height - margin));
     } else {
-      left = this.container.offsetWidth - width - margin;
+      // Calculate where the top is going to be. ideally it is
+      // (d.y - height/2) which'll put the tooltip in the middle of the bubble.
+      // we need to account for if this'll put it out of bounds.
+      // If it goes above the bounds, have the top be the margin
+      if (origin.y + d.y - height < 0) {
+        top = margin;
+      // If it goes below the bounds, have its buttom be a margin length away
+      } else if (origin.y + d.y + height / 2 > containerHeight) {
+        top = containerHeight - height - margin;
+      // Otherwise smack this bad boy in the middle of its bubble
+      } else {
+        top = d.y - height / 2;
+      }
+
+      // Put the tooltip to the right or left of the bubble, whichever fits.
+      // otherwise put it on the right part of its container
+      if (side === 'right') {
+        left = d.x + d.r + margin;
+      } else if (side === 'left') {
+        left = d.x - d.r - width - margin;
+      } else {
+        side = 'right';
+        left = containerWidth - width - margin;
+      }
     }
 
-    this.tooltip.classed('left right', false);
+    this.tooltip.classed('left right top bottom', false);
     this.tooltip.classed(side, true);
 
     this.tooltip
@@ -545,6 +2363,60 @@ export default class ReactBubbleChartD3 {
       .style('left', '');
   }
 
-  /** Any necessary cleanup */
-  destroy() { }
+  /**
+   * Stop everything that is still going on and remove whatever the chart
+   * added to the container, so that nothing is left running against detached
+   * nodes. The tooltip element is handed back to the container. Updates after
+   * this are ignored.
+   */
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+
+    this.destroyed = true;
+    if (this.simulation) {
+      this.simulation.on('tick', null).stop();
+      delete this.simulation;
+    }
+
+    if (this.canvasRenderer) {
+      this.canvasRenderer.destroy();
+      delete this.canvasRenderer;
+    }
+
+    for (const timeout of [ 'labelsTimeout', 'transitionTimeout', 'revealTimeout', 'selectionDraggedTimeout' ]) {
+      if (this[timeout]) {
+        this[timeout].stop();
+        delete this[timeout];
+      }
+    }
+
+    this._cancelTooltipHide();
+    d3.select(window)
+      .on('.selection' + this.chartId, null)
+      .on('.tooltip' + this.chartId, null);
+
+    for (const selection of [ this.svg, this.html, this.legend, this.sizeLegend ]) {
+      const all = selection.selectAll('*');
+      for (const name of TRANSITION_NAMES) {
+        all.interrupt(name);
+        selection.interrupt(name);
+      }
+    }
+
+    this._hideTooltip();
+    this.tooltip
+      .on('pointerenter', null)
+      .on('pointerleave', null);
+    this.container.insertBefore(this.tooltip.node(), this.container.firstChild);
+    this.svg.remove();
+    this.fillsSvg.remove();
+    this.html.remove();
+    this.legend.remove();
+    this.sizeLegend.remove();
+    delete this.root;
+    delete this.focus;
+    this.labelFits.clear();
+  }
 }
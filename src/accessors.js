@@ -0,0 +1,78 @@
+//------------------------------------------------------------------------------
+// Copyright Jonathan Kaufman 2015
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//------------------------------------------------------------------------------
+
+// The fields of the data objects that are read when there's no accessor
+const DEFAULT_FIELDS = {
+  id: '_id',
+  value: 'value',
+  label: 'displayText',
+  selected: 'selected',
+  children: 'children',
+  image: 'image',
+};
+
+// The copies of data objects that validateData sanitized keep their fixed
+// children and value under these, whatever the accessors are
+export const SANITIZED_CHILDREN = Symbol('children');
+export const SANITIZED_VALUE = Symbol('value');
+
+/**
+ * A key of the data objects, or a function of them, as a function of them
+ *
+ * @param {string|Function} accessor Key or function
+ * @returns {Function} Accessor
+ */
+export function toAccessor(accessor) {
+  return typeof accessor === 'function' ? accessor : data => data[accessor];
+}
+
+/**
+ * Normalize the idAccessor, valueAccessor, labelAccessor, selectedAccessor,
+ * childrenAccessor and imageAccessor options into functions of a data
+ * object, they default to reading _id, value, displayText, selected, children
+ * and image
+ *
+ * @param {Object} options Chart props
+ * @returns {Object} Accessors
+ */
+export function toAccessors(options) {
+  const accessors = {};
+  for (const name of Object.keys(DEFAULT_FIELDS)) {
+    const accessor = options[name + 'Accessor'];
+    accessors[name] = toAccessor(accessor === undefined ? DEFAULT_FIELDS[name] : accessor);
+  }
+
+  const { children, value } = accessors;
+  accessors.children = data => data[SANITIZED_CHILDREN] || children(data);
+  accessors.value = data => SANITIZED_VALUE in data ? data[SANITIZED_VALUE] : value(data);
+  return accessors;
+}
+
+/**
+ * What colors a data object: its colorValue for the numeric color scales and
+ * its colorKey for the categorical one, or colorAccessor for both
+ *
+ * @param {Object} options Chart props
+ * @returns {Object} Value and key accessors
+ */
+export function toColorAccessors({ colorAccessor }) {
+  if (colorAccessor === undefined) {
+    return { value: data => data.colorValue, key: data => data.colorKey };
+  }
+
+  const accessor = toAccessor(colorAccessor);
+  return { value: accessor, key: accessor };
+}
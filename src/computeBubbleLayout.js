@@ -0,0 +1,1453 @@
+//------------------------------------------------------------------------------
+// Copyright Jonathan Kaufman 2015
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//------------------------------------------------------------------------------
+
+import * as d3 from 'd3';
+import fitLabel from './fitLabel';
+import validateData from './validateData';
+import { toAccessor, toAccessors, toColorAccessors } from './accessors';
+import { PATTERNS, getPatternFill, getImageFill, toFill } from './patterns';
+
+export const classnames = xs => xs.filter(Boolean).join(' ');
+
+/**
+ * Everything in here is free of side effects and doesn't touch the DOM, so
+ * that it can be used for server-side rendering as well as by
+ * ReactBubbleChartD3. The helpers that style a node are passed a `chart`
+ * object, which is either a ReactBubbleChartD3 or the normalized options of
+ * computeBubbleLayout, they both have the same properties:
+ *   color
+ *   textColor
+ *   selectedColor
+ *   selectedTextColor
+ *   smallDiameter
+ *   mediumDiameter
+ *   hierarchical
+ *   parentColor
+ *   layout
+ *   selectedIds
+ *   highlight
+ *   highlightOpacity
+ *   labelFit
+ *   labelPlacement
+ *   measureText
+ *   pattern - see getColorScales
+ *   accessors - see toAccessors
+ *   fit
+ *   maxValue
+ */
+
+/**
+ * The d3 hierarchy of an array of data objects or of a tree of them. Like
+ * d3.stratify, every node gets the id of its data object as `id`, except for
+ * the root that an array is put under, which has neither.
+ *
+ * @param {Object|Object[]} data Chart data
+ * @param {Object} accessors Data accessors
+ * @returns {Object} Hierarchy root
+ */
+export function toHierarchy(data, accessors) {
+  const madeUpRoot = Array.isArray(data) ? { children: data } : null;
+  const root = d3.hierarchy(madeUpRoot || data, d => d === madeUpRoot ? d.children : accessors.children(d));
+  root.each(d => {
+    d.id = d.data === madeUpRoot ? undefined : accessors.id(d.data);
+  });
+  return root;
+}
+
+// With the `fill` fit, the top level bubbles start out covering this much of
+// the rectangle before they are pushed apart
+const FILL_DENSITY = 0.6;
+
+// With a maxValue, a total of that much covers about this much of the chart
+const SIZE_DENSITY = 0.5;
+
+/**
+ * Spread the top level bubbles of a packed hierarchy out over a rectangle
+ * instead of a circle, moving and scaling whatever is inside of them along.
+ * Their sizes are kept if they are `fixed`, unless they don't fit. The root
+ * is left as a circle in the middle of the rectangle, so that zooming to it
+ * shows the whole rectangle.
+ *
+ * @param {Object} root Packed tree
+ * @param {Object} options Size, padding and fixed
+ */
+function fillRect(root, { width, height, padding, fixed }) {
+  const tops = root.children || [];
+  const area = d3.sum(tops, d => Math.PI * d.r * d.r);
+  const scale = area > 0 && !fixed ? Math.sqrt(FILL_DENSITY * width * height / area) : 1;
+  // Start from the packed circle stretched to the shape of the rectangle,
+  // then pull the bubbles together harder along its short side. A cluster
+  // settles into the square root of the ratio of the pulls, so they go by the
+  // square of the ratio of the sides.
+  const stretch = Math.sqrt(width / height);
+  const nodes = tops.map(d => ({
+    x: width / 2 + (d.x - root.x) * scale * stretch,
+    y: height / 2 + (d.y - root.y) * scale / stretch,
+    r: d.r * scale,
+  }));
+  const pull = (width * width) / (height * height);
+  const simulation = d3.forceSimulation(nodes)
+    .force('collide', d3.forceCollide(n => n.r + padding / 2))
+    .force('x', d3.forceX(width / 2).strength(0.05 * Math.min(1 / pull, 1)))
+    .force('y', d3.forceY(height / 2).strength(0.05 * Math.min(pull, 1)))
+    .stop();
+  const ticks = Math.ceil(Math.log(simulation.alphaMin()) / Math.log(1 - simulation.alphaDecay()));
+  for (let i = 0; i < ticks; i++) {
+    simulation.tick();
+  }
+
+  // Scale whatever the bubbles ended up covering to fit the rectangle
+  const x0 = d3.min(nodes, n => n.x - n.r);
+  const x1 = d3.max(nodes, n => n.x + n.r);
+  const y0 = d3.min(nodes, n => n.y - n.r);
+  const y1 = d3.max(nodes, n => n.y + n.r);
+  const fit = x1 > x0 && y1 > y0 ? Math.min(width / (x1 - x0), height / (y1 - y0)) : 1;
+  const k = fixed ? Math.min(fit, 1) : fit;
+  tops.forEach((top, i) => {
+    const x = width / 2 + (nodes[i].x - (x0 + x1) / 2) * k;
+    const y = height / 2 + (nodes[i].y - (y0 + y1) / 2) * k;
+    const { x: topX, y: topY } = top;
+    for (const d of top.descendants()) {
+      d.x = x + (d.x - topX) * scale * k;
+      d.y = y + (d.y - topY) * scale * k;
+      d.r *= scale * k;
+    }
+  });
+  root.x = width / 2;
+  root.y = height / 2;
+  root.r = Math.min(width, height) / 2;
+}
+
+/**
+ * Shrink bubbles that were packed with fixed sizes to fit into the diameter,
+ * if they don't already. The root is made as large as the diameter either
+ * way, so that zooming to it doesn't scale anything.
+ *
+ * @param {Object} root Packed tree
+ * @param {number} diameter Diameter
+ */
+function shrinkToFit(root, diameter) {
+  const k = Math.min(diameter / (2 * root.r), 1) || 1;
+  for (const d of root.descendants()) {
+    d.x = root.x + (d.x - root.x) * k;
+    d.y = root.y + (d.y - root.y) * k;
+    d.r *= k;
+  }
+
+  root.r = diameter / 2;
+}
+
+// Height of the title along the top of every facet
+export const FACET_TITLE_HEIGHT = 20;
+
+/**
+ * Split a width by height rectangle into a grid of count cells, with as many
+ * columns as make the packs in them, below their titles, the largest
+ * Returns [ { left, top, width, height } ]
+ *
+ * @param {number} count Number of cells
+ * @param {number} width Width
+ * @param {number} height Height
+ * @returns {Object[]} Cells
+ */
+export function getFacetCells(count, width, height) {
+  let best = null;
+  for (let columns = 1; columns <= count; columns++) {
+    const rows = Math.ceil(count / columns);
+    const size = Math.min(width / columns, height / rows - FACET_TITLE_HEIGHT);
+    if (!best || size > best.size) {
+      best = { columns, rows, size };
+    }
+  }
+
+  const { columns, rows } = best || { columns: 1, rows: 1 };
+  const cellWidth = width / columns;
+  const cellHeight = height / rows;
+  return d3.range(count).map(i => ({
+    left: (i % columns) * cellWidth,
+    top: Math.floor(i / columns) * cellHeight,
+    width: cellWidth,
+    height: cellHeight,
+  }));
+}
+
+/**
+ * The radius of a bubble of a given value that makes a total of maxValue
+ * cover about half of a width by height rectangle
+ *
+ * @param {number} maxValue maxValue prop
+ * @param {Object} options Size and fit
+ * @returns {Function} Radius of a node
+ */
+function getFixedRadius(maxValue, { width, height, fit }) {
+  const diameter = Math.min(width, height);
+  const area = SIZE_DENSITY * (fit === 'fill' ? width * height : Math.PI * diameter * diameter / 4);
+  return d => Math.sqrt(area * d.value / maxValue / Math.PI);
+}
+
+/**
+ * Pack the children of root into a circle as large as fits into the width
+ * and height, or with the `fill` fit spread them out over all of it. With a
+ * radius for the bubbles they keep their sizes unless they don't fit.
+ *
+ * @param {Object} root Tree
+ * @param {Object} options Size, fit, radius and padding
+ */
+function packInto(root, { width, height, fit, radius, padding }) {
+  const diameter = Math.min(width, height);
+  const pack = d3.pack()
+    .size([ diameter, diameter ])
+    .padding(padding);
+  if (radius) {
+    pack.radius(radius);
+  }
+
+  pack(root);
+  if (fit === 'fill' && diameter > 0) {
+    fillRect(root, { width, height, padding, fixed: Boolean(radius) });
+  } else if (radius) {
+    shrinkToFit(root, diameter);
+  }
+}
+
+/**
+ * Pack every facet into its own cell of the plot, below its title. The
+ * bubbles are all sized alike: by maxValue if there is one, otherwise as
+ * large as they can be with the fullest facet still fitting into its cell.
+ * The facets are left on the root, as [ { key, title, left, top, width,
+ * height } ] where the box is that of the title, and every node knows the
+ * key of its facet.
+ *
+ * @param {Object} root Tree
+ * @param {Object[]} facets Facets
+ * @param {Object} options Layout options
+ */
+function packFacets(root, facets, { width, height, fit, maxValue, padding, facetTitle }) {
+  const cells = getFacetCells(facets.length, width, height);
+  const packs = facets.map(({ key, children }, i) => {
+    const cell = cells[i];
+    // The pack layout places children relative to their parent, so for now
+    // they belong to a root of their own
+    const facetRoot = d3.hierarchy({});
+    facetRoot.children = children.length > 0 ? children : undefined;
+    facetRoot.value = d3.sum(children, d => d.value);
+    for (const d of children) {
+      d.parent = facetRoot;
+      d.each(n => {
+        n.facet = key;
+      });
+    }
+
+    return { key, root: facetRoot, width: cell.width, height: Math.max(cell.height - FACET_TITLE_HEIGHT, 0) };
+  });
+
+  // Cells too small for anything leave their bubbles at their middle
+  const filled = packs.filter(f => f.root.children && Math.min(f.width, f.height) > 0);
+  for (const f of packs.filter(f => !filled.includes(f))) {
+    f.root.each(d => {
+      d.x = 0;
+      d.y = 0;
+      d.r = 0;
+    });
+  }
+
+  let radius = maxValue > 0 && filled.length > 0 && getFixedRadius(maxValue, { ...filled[0], fit });
+  if (!radius) {
+    // Each facet packed on its own tells how large its bubbles can be
+    const scales = filled.map(f => {
+      packInto(f.root, { ...f, fit, padding });
+      const leaf = f.root.leaves().find(d => d.value > 0 && d.r > 0);
+      return leaf ? leaf.r / Math.sqrt(leaf.value) : Infinity;
+    });
+    const scale = d3.min(scales);
+    radius = scale > 0 && scale < Infinity ? d => scale * Math.sqrt(d.value) : null;
+  }
+
+  for (const f of filled) {
+    packInto(f.root, { ...f, fit, padding, radius });
+  }
+
+  packs.forEach((f, i) => {
+    const cell = cells[i];
+    const dx = cell.left + f.width / 2 - f.root.x;
+    const dy = cell.top + FACET_TITLE_HEIGHT + f.height / 2 - f.root.y;
+    for (const d of f.root.children || []) {
+      d.parent = root;
+      d.each(n => {
+        n.x += dx;
+        n.y += dy;
+      });
+    }
+  });
+
+  if (packs.some(f => f.root.children)) {
+    root.children = [].concat(...facets.map(f => f.children));
+  }
+
+  root.x = width / 2;
+  root.y = height / 2;
+  root.r = Math.min(width, height) / 2;
+  root.facets = facets.map(({ key }, i) => ({
+    key,
+    title: facetTitle ? facetTitle(key) : (key === undefined || key === null ? '' : String(key)),
+    left: cells[i].left,
+    top: cells[i].top,
+    width: cells[i].width,
+    height: FACET_TITLE_HEIGHT,
+  }));
+}
+
+/**
+ * The top level nodes of the hierarchy grouped by facetBy, in ascending order
+ * of their facets so that they keep their places whatever order the data
+ * comes in
+ * Returns [ { key, children } ]
+ *
+ * @param {Object[]} nodes Top level nodes
+ * @param {string|Function} facetBy facetBy prop
+ * @returns {Object[]} Facets
+ */
+function groupFacets(nodes, facetBy) {
+  const facets = new Map();
+  for (const d of nodes.children || []) {
+    const key = facetBy(d.data);
+    if (!facets.has(key)) {
+      facets.set(key, { key, children: [] });
+    }
+
+    facets.get(key).children.push(d);
+  }
+
+  return [ ...facets.values() ].sort((a, b) => d3.ascending(a.key, b.key));
+}
+
+/**
+ * Generate data with calculated layout values, leaving out the leaves whose
+ * data object isHidden and the parents that are left without children. The
+ * bubbles are packed into a circle as large as fits into the width and
+ * height, or with the `fill` fit spread out over all of it. Given a maxValue,
+ * the area of a bubble is fixed by its value, a total of maxValue covers
+ * about half of the chart, rather than the bubbles filling it.
+ * With facetBy, a key of the top level data objects or a function of them,
+ * they are split into a grid of packs instead, see packFacets. Facets stay in
+ * place while their bubbles are hidden.
+ *
+ * @param {Object|Object[]} data Chart data
+ * @param {Object} options Layout options
+ * @returns {Object} Laid out tree
+ */
+export function packData(data, { width, height, fit, maxValue, padding = 3, isHidden, accessors, facetBy, facetTitle }) {
+  const nodes = toHierarchy(data, accessors);
+  const facets = facetBy === undefined || facetBy === null ? null : groupFacets(nodes, toAccessor(facetBy));
+  if (isHidden) {
+    // Children come first, so parents can tell if they have been emptied out
+    const isShown = c => c.children ? c.children.length > 0 : !isHidden(c.data);
+    nodes.eachAfter(node => {
+      if (node.children) {
+        node.children = node.children.filter(isShown);
+      }
+    });
+    for (const facet of facets || []) {
+      facet.children = facet.children.filter(isShown);
+    }
+  }
+
+  // The root an array is put under has no value of its own
+  nodes.sum(d => d === nodes.data && nodes.id === undefined ? 0 : accessors.value(d));
+  if (facets) {
+    packFacets(nodes, facets, { width, height, fit, maxValue, padding, facetTitle });
+    return nodes;
+  }
+
+  const diameter = Math.min(width, height);
+  const radius = maxValue > 0 && diameter > 0 && getFixedRadius(maxValue, { width, height, fit });
+  packInto(nodes, { width, height, fit, radius, padding });
+  return nodes;
+}
+
+/**
+ * Define color scales for the bubbles and their text, and describe the legend
+ * that goes with them. Every scale is passed the data object of a bubble.
+ * colorScale is one of:
+ *   quantize - stepped buckets of colorValue, one per colorLegend entry
+ *   sequential - colorValue interpolated between the colorLegend entries
+ *   diverging - same, with the middle entry at colorMidpoint
+ *   categorical - colorKey mapped to the colorLegend entries
+ *   a d3 scale, or any function, of colorKey if there is one or colorValue
+ * `bucket` tells which legend item a data object falls under, by its key,
+ * and `pattern` which of the PATTERNS its color is filled with, the `pattern`
+ * of the colorLegend entry. With colorPatterns the entries without one get
+ * the PATTERNS in turn. Custom scales have no patterns.
+ * The colorValue and colorKey are read with colorAccessor, if there is one.
+ *
+ * @param {Object} root Hierarchy of the data
+ * @param {Object} options Color props
+ * @returns {Object} Scales and legend description
+ */
+export function getColorScales(root, options) {
+  const { colorLegend = [], fixedDomain, colorScale = 'quantize', colorMidpoint, colorPatterns } = options;
+  const { value: colorValue, key: colorKey } = toColorAccessors(options);
+  const entries = colorLegend.map((c, i) => {
+    const entry = typeof c === 'string' ? { color: c } : c;
+    return colorPatterns && entry.pattern === undefined ? { ...entry, pattern: PATTERNS[i % PATTERNS.length] } : entry;
+  });
+  // Color range is just an array of the hex values
+  const colorRange = entries.map(c => c.color);
+  const textColorRange = entries.map(c => c.textColor || '#000000');
+  const legendTextRange = entries.map(c => c.text);
+  const patternRange = entries.map(c => c.pattern);
+  const keys = entries.map(entryKey);
+
+  if (typeof colorScale === 'function') {
+    const input = data => colorKey(data) === undefined ? colorValue(data) : colorKey(data);
+    // Parents have neither, and shouldn't end up in the domain of ordinal scales
+    const color = data => input(data) === undefined ? undefined : colorScale(input(data));
+    return {
+      color,
+      // Pick whichever of black and white is easier to read, black without a color
+      textColor: data => d3.hsl(color(data)).l <= 0.5 ? '#ffffff' : '#000000',
+      legendText: () => undefined,
+      pattern: () => undefined,
+      // Only ordinal scales have buckets
+      bucket: typeof colorScale.ticks === 'function' ? () => undefined : input,
+      legend: getCustomLegend(colorScale),
+    };
+  }
+
+  if (colorScale === 'categorical') {
+    // Categories are in the order of the legend, if the legend has keys or
+    // text for them, otherwise in the order they show up in
+    const categories = entries.map(c => c.key === undefined ? c.text : c.key);
+    const index = d3.scaleOrdinal()
+      .domain(categories.length > 0 && categories.every(k => k !== undefined) ?
+        categories :
+        [ ...new Set(root.leaves().map(d => colorKey(d.data))) ])
+      .range(d3.range(Math.max(entries.length, 1)));
+    const scale = range => data => range[index(colorKey(data))];
+    const color = scale(colorRange);
+    return {
+      color,
+      textColor: scale(textColorRange),
+      legendText: scale(legendTextRange),
+      pattern: scale(patternRange),
+      bucket: colorKey,
+      legend: {
+        type: 'swatches',
+        items: index.domain().map(key => ({
+          ...entries[index(key)],
+          key,
+          text: legendTextRange[index(key)] === undefined ? key : legendTextRange[index(key)],
+        })),
+      },
+    };
+  }
+
+  const domain = fixedDomain ?
+    [ fixedDomain.min, fixedDomain.max ] :
+    d3.extent(root.leaves(), d => colorValue(d.data));
+
+  if (colorScale === 'sequential' || colorScale === 'diverging') {
+    const stops = getColorStops(domain, entries.length, colorScale === 'diverging' && colorMidpoint);
+    const color = d3.scaleLinear().domain(stops).range(colorRange).clamp(true);
+    // Text colors and legend text don't blend, use the ones of the closest stop
+    const index = d3.scaleLinear().domain(stops).range(d3.range(entries.length)).clamp(true);
+    const format = d3.scaleLinear().domain(domain).tickFormat(stops.length);
+    return {
+      color: data => color(colorValue(data)),
+      textColor: data => textColorRange[Math.round(index(colorValue(data)))],
+      legendText: data => legendTextRange[Math.round(index(colorValue(data)))],
+      pattern: data => patternRange[Math.round(index(colorValue(data)))],
+      bucket: data => keys[Math.round(index(colorValue(data)))],
+      legend: {
+        type: 'gradient',
+        stops: stops.map((value, i) => ({ value, color: colorRange[i] })),
+        ticks: stops.map((value, i) => ({
+          value,
+          key: keys[i],
+          text: legendTextRange[i] === undefined ? format(value) : legendTextRange[i],
+        })),
+      },
+    };
+  }
+
+  // An empty colorLegend leaves the bubbles without colors, quantize scales
+  // need at least one of them
+  const quantize = range => d3.scaleQuantize().domain(domain).range(range.length > 0 ? range : [ undefined ]);
+  const color = quantize(colorRange);
+  const textColor = quantize(textColorRange);
+  const legendText = quantize(legendTextRange);
+  const pattern = quantize(patternRange);
+  const bucket = quantize(keys);
+  return {
+    color: data => color(colorValue(data)),
+    textColor: data => textColor(colorValue(data)),
+    legendText: data => legendText(colorValue(data)),
+    pattern: data => pattern(colorValue(data)),
+    bucket: data => colorValue(data) === undefined ? undefined : bucket(colorValue(data)),
+    legend: getQuantizeLegend(entries),
+  };
+}
+
+/**
+ * Legend entries are told apart by their key, or by their index if they have none
+ *
+ * @param {Object} c Legend entry
+ * @param {number} i Its index
+ * @returns {string|number} Entry key
+ */
+function entryKey(c, i) {
+  return c.key === undefined ? i : c.key;
+}
+
+/**
+ * A swatch per colorLegend entry, highest values on top
+ *
+ * @param {Array} colorLegend colorLegend prop
+ * @returns {Object} Legend description
+ */
+function getQuantizeLegend(colorLegend) {
+  return {
+    type: 'swatches',
+    items: colorLegend
+      .map((c, i) => ({ ...(typeof c === 'string' ? { color: c } : c), key: entryKey(c, i) }))
+      .reverse(),
+  };
+}
+
+/**
+ * Spread the colorLegend entries evenly over the domain, for a diverging scale
+ * the ones below the middle entry from the min to the midpoint and the others
+ * from there to the max
+ *
+ * @param {number[]} domain Min and max
+ * @param {number} count Number of stops
+ * @param {number} [midpoint] Diverging midpoint
+ * @returns {number[]} Stop values
+ */
+function getColorStops([ min, max ], count, midpoint) {
+  if (count < 2) {
+    return [ min ];
+  }
+
+  const last = count - 1;
+  if (midpoint === false) {
+    return d3.range(count).map(i => min + (max - min) * i / last);
+  }
+
+  const mid = midpoint === undefined || midpoint === null ? (min + max) / 2 : midpoint;
+  const middle = last / 2;
+  return d3.range(count).map(i => i <= middle ?
+    min + (mid - min) * i / middle :
+    mid + (max - mid) * (i - middle) / (last - middle));
+}
+
+/**
+ * A gradient for continuous d3 scales, swatches for ordinal ones and nothing
+ * for anything else
+ *
+ * @param {Function} scale colorScale prop
+ * @returns {Object} Legend description
+ */
+function getCustomLegend(scale) {
+  if (typeof scale.ticks === 'function') {
+    const [ min, max ] = d3.extent(scale.domain());
+    const format = scale.tickFormat(5);
+    return {
+      type: 'gradient',
+      stops: d3.range(11).map(i => {
+        const value = min + (max - min) * i / 10;
+        return { value, color: scale(value) };
+      }),
+      ticks: scale.ticks(5).map(value => ({ value, text: format(value) })),
+    };
+  }
+
+  if (typeof scale.domain === 'function') {
+    return {
+      type: 'swatches',
+      items: scale.domain().map(key => ({ color: scale(key), text: key, key })),
+    };
+  }
+
+  return { type: 'swatches', items: [] };
+}
+
+// Roughly how wide a character of legend text is, the legend is laid out
+// without a DOM to measure it with
+const CHAR_WIDTH = 7;
+
+/**
+ * Size and position the legend, from the legend description of
+ * getColorScales. Without one the colorLegend entries are the swatches, like
+ * for the default quantize scale. Vertical legends have the highest values on
+ * top, horizontal ones on the right.
+ *
+ * @param {Array} [colorLegend] colorLegend prop
+ * @param {Object} options Size, scales and legend props
+ * @returns {Object} Legend layout
+ */
+export function getLegendLayout(colorLegend = [], {
+  width,
+  height,
+  legendSpacing = 3,
+  scales,
+  orientation = 'vertical',
+  placement = 'left',
+}) {
+  const legend = (scales && scales.legend) || getQuantizeLegend(colorLegend);
+  const horizontal = orientation === 'horizontal';
+  // Room along the legend
+  const length = (horizontal ? width : height) - 20;
+
+  let layout;
+  if (legend.type === 'gradient') {
+    const barLength = Math.max(Math.min(length, 200), 0);
+    const position = d3.scaleLinear()
+      .domain(d3.extent(legend.stops, s => s.value))
+      .range(horizontal ? [ 0, barLength ] : [ barLength, 0 ]);
+    const offset = value => barLength > 0 ? position(value) / barLength : 0;
+    const stops = legend.stops
+      .map(s => ({ ...s, offset: offset(s.value) }))
+      .sort((a, b) => a.offset - b.offset);
+    const textWidth = d3.max(legend.ticks, t => String(t.text).length) * CHAR_WIDTH || 0;
+
+    layout = {
+      type: 'gradient',
+      // Same stops, same gradient, so the id only has to be unique per gradient
+      gradientId: 'bubble-legend-gradient-' + orientation + '-' +
+        stops.map(s => s.color).join('-').replace(/[^\w-]/g, ''),
+      stops,
+      ticks: legend.ticks.map(t => horizontal ?
+        { ...t, x: position(t.value), y: 18 } :
+        { ...t, x: 18, y: position(t.value) }
+      ),
+      rectSize: 18,
+      width: horizontal ? barLength : 18,
+      height: horizontal ? 18 : barLength,
+      // Including the tick labels
+      outerWidth: horizontal ? barLength : 18 + 6 + textWidth,
+      outerHeight: horizontal ? 18 + 20 : barLength,
+    };
+  } else {
+    const { items } = legend;
+    const textWidth = d3.max(items, c => String(c.text || '').length) * CHAR_WIDTH || 0;
+    if (horizontal) {
+      const rectSize = 18;
+      const itemWidth = rectSize + 2 + textWidth + 10;
+      const legendWidth = items.length * itemWidth - 10;
+      layout = {
+        items: items.map((item, i) => ({ ...item, x: i * itemWidth, y: 0 })),
+        rectSize,
+        width: legendWidth,
+        height: rectSize,
+        outerWidth: legendWidth,
+        outerHeight: rectSize,
+      };
+    } else {
+      const rectSize = Math.min(
+        (length - (items.length - 1) * legendSpacing) / items.length,
+        18,
+      );
+      const legendHeight = items.length * (rectSize + legendSpacing) - legendSpacing;
+      layout = {
+        items: items.map((item, i) => ({ ...item, x: 0, y: i * (rectSize + legendSpacing) })),
+        rectSize,
+        width: rectSize,
+        height: legendHeight,
+        outerWidth: rectSize + 2 + textWidth,
+        outerHeight: legendHeight,
+      };
+    }
+
+    layout.type = 'swatches';
+  }
+
+  return {
+    ...layout,
+    orientation,
+    placement,
+    ...getLegendCorner(layout.outerWidth, layout.outerHeight, { width, height, placement }),
+  };
+}
+
+// Space between a legend and the edge of the chart
+const LEGEND_MARGIN = 10;
+
+// Space between the legends, and between them and the bubbles
+const LEGEND_GAP = 10;
+
+/**
+ * Where a legend of the given outer size goes on its side of the chart
+ * Returns { left, top }
+ *
+ * @param {number} outerWidth Legend width
+ * @param {number} outerHeight Legend height
+ * @param {Object} chart Chart size and placement
+ * @returns {Object} Corner
+ */
+function getLegendCorner(outerWidth, outerHeight, { width, height, placement }) {
+  const middle = { left: (width - outerWidth) / 2, top: (height - outerHeight) / 2 };
+  return {
+    right: { left: width - LEGEND_MARGIN - outerWidth, top: middle.top },
+    top: { left: middle.left, top: LEGEND_MARGIN },
+    bottom: { left: middle.left, top: height - LEGEND_MARGIN - outerHeight },
+  }[placement] || { left: LEGEND_MARGIN, top: middle.top };
+}
+
+const formatSize = d3.format(',');
+
+// Space between the circles of the size legend and their labels
+const SIZE_LEGEND_TEXT_GAP = 8;
+
+// The circles of the size legend are at least this far apart at the top, so
+// that their labels don't run into each other
+const SIZE_LEGEND_TEXT_HEIGHT = 10;
+
+/**
+ * Round a positive number to two significant digits, with Math.floor,
+ * Math.round or Math.ceil
+ *
+ * @param {number} x Number
+ * @param {Function} round Rounding function
+ * @returns {number} Rounded number
+ */
+function roundToTwoDigits(x, round) {
+  const digits = 1 - Math.floor(Math.log10(x));
+  return digits > 0 ?
+    round(x * (10 ** digits)) / (10 ** digits) :
+    round(x / (10 ** -digits)) * (10 ** -digits);
+}
+
+/**
+ * Round down to 1, 2 or 5 times a power of ten
+ *
+ * @param {number} x Number
+ * @returns {number} Rounded number
+ */
+function niceFloor(x) {
+  const power = 10 ** Math.floor(Math.log10(x));
+  return [ 5, 2, 1 ].map(m => m * power).find(v => v <= x) || 0;
+}
+
+/**
+ * The radius of a bubble of value 1 as the leaves of a laid out tree are
+ * drawn, areas are proportional to values in any layout. 0 if there are no
+ * bubbles to tell.
+ *
+ * @param {Object} root Laid out tree
+ * @returns {number} Radius of a value of 1
+ */
+function getRadiusScale(root) {
+  const leaf = root.leaves().find(d => d.value > 0 && d.r > 0);
+  return leaf ? leaf.r / Math.sqrt(leaf.value) : 0;
+}
+
+/**
+ * Size and position the size legend, which shows how large the bubbles of a
+ * few round values are as nested circles labelled with their values. The
+ * values are the largest and smallest value of the data, read with the
+ * accessors, and one in between, rounded inwards. To know how large they are
+ * drawn, the data is packed like packData does with the rest of the options
+ * into plot, what the color legend leaves of the chart, and zoomed into
+ * focusedId. The legend takes up to a third of the shorter side of the
+ * chart, larger values are left out. The bubbles are then packed into what
+ * both legends leave, so they only get smaller, and getSizeLegendItems draws
+ * the circles as large as they end up.
+ *
+ * @param {Object|Object[]} data Chart data
+ * @param {Object} options Layout options
+ * @returns {Object} Legend layout
+ */
+export function getSizeLegendLayout(data, { width, height, placement = 'left', plot, focusedId, ...options }) {
+  const [ smallest, largest ] = d3.extent(
+    toHierarchy(data, options.accessors).leaves()
+      .map(d => Number(options.accessors.value(d.data)))
+      .filter(value => value > 0),
+  );
+  let scale = 0;
+  if (largest > 0) {
+    const root = packData(data, { ...options, width: plot.width, height: plot.height });
+    zoomTo(root, findFocus(root, focusedId), plot.width, plot.height);
+    scale = getRadiusScale(root);
+  }
+
+  // Values that are cut short get rounder numbers
+  const fitting = scale > 0 ? (Math.min(width, height) / 6 / scale) ** 2 : 0;
+  const top = Math.min(largest, fitting);
+  const values = top > 0 ? [ ...new Set([
+    fitting < largest ? niceFloor(top) : roundToTwoDigits(top, Math.floor),
+    roundToTwoDigits(Math.sqrt(Math.min(smallest, top) * top), Math.round),
+    roundToTwoDigits(Math.min(smallest, top), Math.ceil),
+  ]) ].filter(value => value > 0 && value <= top) : [];
+  const diameter = values.length > 0 ? 2 * scale * Math.sqrt(values[0]) : 0;
+  const textWidth = d3.max(values, value => formatSize(value).length) * CHAR_WIDTH || 0;
+  const outerWidth = diameter + SIZE_LEGEND_TEXT_GAP + textWidth;
+  return {
+    type: 'size',
+    items: [],
+    values,
+    diameter,
+    width: outerWidth,
+    height: diameter,
+    outerWidth,
+    outerHeight: diameter,
+    placement,
+    ...getLegendCorner(outerWidth, diameter, { width, height, placement }),
+  };
+}
+
+/**
+ * The circles of the size legend, for the values of its layout, as large as
+ * the bubbles of those values are drawn. Circles that have grown too large
+ * for the legend, say after zooming in, are left out, and so are the ones
+ * too close in size to a larger one to be told apart. They all sit on the
+ * bottom of the legend, their labels go at x, y next to their tops.
+ * Returns [ { key, value, text, r, cx, cy, x, y } ]
+ *
+ * @param {Object} root Laid out tree
+ * @param {Object} layout Legend layout
+ * @returns {Object[]} Circles
+ */
+export function getSizeLegendItems(root, { values, diameter }) {
+  const scale = getRadiusScale(root);
+  const items = [];
+  for (const value of values) {
+    const r = scale * Math.sqrt(value);
+    const previous = items[items.length - 1];
+    if (r > 0 && 2 * r <= diameter + 0.5 && (!previous || 2 * (previous.r - r) >= SIZE_LEGEND_TEXT_HEIGHT)) {
+      items.push({
+        key: String(value),
+        value,
+        text: formatSize(value),
+        r,
+        cx: diameter / 2,
+        cy: diameter - r,
+        x: diameter + SIZE_LEGEND_TEXT_GAP,
+        y: diameter - 2 * r,
+      });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Put the color and the size legend next to each other on their side of the
+ * chart, one above the other on the left or right. Either of them can be
+ * null.
+ * Returns the repositioned [ colorLegend, sizeLegend ]
+ *
+ * @param {Object[]} legends Legend layouts
+ * @param {Object} chart Chart size and placement
+ * @returns {Object[]} Legend layouts
+ */
+export function stackLegends(legends, { width, height, placement }) {
+  const shown = legends.filter(Boolean);
+  if (shown.length < 2) {
+    return legends;
+  }
+
+  const across = placement === 'top' || placement === 'bottom';
+  const outerWidth = across ? d3.sum(shown, l => l.outerWidth) + LEGEND_GAP : d3.max(shown, l => l.outerWidth);
+  const outerHeight = across ? d3.max(shown, l => l.outerHeight) : d3.sum(shown, l => l.outerHeight) + LEGEND_GAP;
+  const corner = getLegendCorner(outerWidth, outerHeight, { width, height, placement });
+  let offset = 0;
+  return legends.map(legend => {
+    if (!legend) {
+      return legend;
+    }
+
+    // Legends line up with the edge of the chart they are closest to
+    const left = across ? corner.left + offset :
+      corner.left + (placement === 'right' ? outerWidth - legend.outerWidth : 0);
+    const top = across ? corner.top + (placement === 'bottom' ? outerHeight - legend.outerHeight : 0) :
+      corner.top + offset;
+    offset += (across ? legend.outerWidth : legend.outerHeight) + LEGEND_GAP;
+    return { ...legend, left, top };
+  });
+}
+
+/**
+ * The rectangle the bubbles are drawn in: the whole chart, except for the
+ * sides of it that the legends take up.
+ * Returns { left, top, width, height }
+ *
+ * @param {number} width Chart width
+ * @param {number} height Chart height
+ * @param {Object[]} legendLayouts Legend layouts
+ * @returns {Object} Plot area
+ */
+export function getPlotArea(width, height, legendLayouts) {
+  let [ x0, y0, x1, y1 ] = [ 0, 0, width, height ];
+  for (const legend of legendLayouts) {
+    if (!legend || !(legend.outerWidth > 0 && legend.outerHeight > 0)) {
+      continue;
+    }
+
+    const { placement, left, top, outerWidth, outerHeight } = legend;
+    if (placement === 'right') {
+      x1 = Math.min(x1, left - LEGEND_GAP);
+    } else if (placement === 'top') {
+      y0 = Math.max(y0, top + outerHeight + LEGEND_GAP);
+    } else if (placement === 'bottom') {
+      y1 = Math.min(y1, top - LEGEND_GAP);
+    } else {
+      x0 = Math.max(x0, left + outerWidth + LEGEND_GAP);
+    }
+  }
+
+  return { left: x0, top: y0, width: Math.max(x1 - x0, 0), height: Math.max(y1 - y0, 0) };
+}
+
+/**
+ * Whether a data object falls under one of the hidden legend items
+ *
+ * @param {Object} scales Color scales
+ * @param {Array} hiddenLegendItems Hidden legend keys
+ * @returns {Function} Predicate of a data object
+ */
+export function getIsHidden(scales, hiddenLegendItems) {
+  if (!hiddenLegendItems || hiddenLegendItems.length === 0) {
+    return undefined;
+  }
+
+  const hidden = new Set(hiddenLegendItems);
+  return data => hidden.has(scales.bucket(data));
+}
+
+/**
+ * The parent bubble with the given id, or the root if there is none
+ *
+ * @param {Object} root Laid out tree
+ * @param {string} focusedId Id to zoom into
+ * @returns {Object} Focused node
+ */
+export function findFocus(root, focusedId) {
+  return (focusedId !== null && focusedId !== undefined &&
+    root.descendants().find(d => d.parent && d.children && d.id === focusedId)) || root;
+}
+
+/**
+ * Scale and translate every node of the laid out tree so that the focus fills
+ * the shorter side of a width by height chart, in the middle of it. When the
+ * focus is the root this only centers everything.
+ *
+ * @param {Object} root Laid out tree
+ * @param {Object} focus Node to zoom into
+ * @param {number} width Chart width
+ * @param {number} [height] Chart height
+ */
+export function zoomTo(root, focus, width, height = width) {
+  const { x, y, r } = focus;
+  const k = r > 0 ? Math.min(width, height) / (2 * r) : 1;
+  for (const d of root.descendants()) {
+    d.x = (d.x - x) * k + width / 2;
+    d.y = (d.y - y) * k + height / 2;
+    d.r *= k;
+  }
+}
+
+/**
+ * Every node gets a label, except for the made up root of a data array, and
+ * parents in force layout which only positions leaves. The made up root is
+ * not a bubble, clicks between the bubbles go through to the background. With
+ * the `fill` fit or facets there is no circle around all of the bubbles, so in
+ * hierarchical mode the root is never drawn.
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {boolean} Has a label
+ */
+export function isLabelDrawn(d, chart) {
+  if (!d.parent && d.id === undefined) {
+    return false;
+  }
+
+  if (chart.layout === 'force') {
+    return !d.children;
+  }
+
+  return !chart.hierarchical || Boolean(d.parent) || (chart.fit !== 'fill' && !d.facets);
+}
+
+/**
+ * Only leaves get a circle, unless in hierarchical mode where all but the
+ * made up root of a data array do
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {boolean} Has a circle
+ */
+export function isCircleDrawn(d, chart) {
+  return isLabelDrawn(d, chart) && (chart.hierarchical || !d.children);
+}
+
+/**
+ * Circles of the focused node and all of its descendants are shown
+ *
+ * @param {Object} d Node
+ * @param {Object} focus Focused node
+ * @returns {boolean} Circle is shown
+ */
+export function isCircleInFocus(d, focus) {
+  return d.ancestors().includes(focus);
+}
+
+/**
+ * Same as circles, except for the label of the focused node itself which
+ * would cover the whole chart once zoomed in
+ *
+ * @param {Object} d Node
+ * @param {Object} focus Focused node
+ * @returns {boolean} Label is shown
+ */
+export function isLabelInFocus(d, focus) {
+  return isCircleInFocus(d, focus) && (d !== focus || !d.parent);
+}
+
+/**
+ * The ids selected through the chart, if any, take over the `selected` flags
+ * of the data objects
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {boolean} Is selected
+ */
+export function isSelected(d, chart) {
+  return chart.selectedIds ? chart.selectedIds.has(d.id) : Boolean(chart.accessors.selected(d.data));
+}
+
+/**
+ * The highlight prop, a predicate of the d3 node or an array of `_id`s, as a
+ * predicate. null if nothing is highlighted.
+ *
+ * @param {Function|string[]} highlight highlight prop
+ * @returns {Function} Predicate of a node, or null
+ */
+export function toHighlight(highlight) {
+  if (highlight === undefined || highlight === null) {
+    return null;
+  }
+
+  if (typeof highlight === 'function') {
+    return highlight;
+  }
+
+  const ids = new Set(highlight);
+  return d => ids.has(d.id);
+}
+
+export function isHighlighted(d, chart) {
+  return Boolean(chart.highlight) && Boolean(chart.highlight(d));
+}
+
+/**
+ * While highlighting, the bubbles that don't match fade out, unless there
+ * are matches inside of them
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {boolean} Fades out
+ */
+export function isFaded(d, chart) {
+  return Boolean(chart.highlight) && !d.descendants().some(n => isHighlighted(n, chart));
+}
+
+export function getCircleColor(d, chart) {
+  if (isSelected(d, chart) && chart.selectedColor) {
+    return chart.selectedColor;
+  }
+
+  if (chart.hierarchical && d.children) {
+    return typeof chart.parentColor === 'function' ? chart.parentColor(d) : chart.parentColor;
+  }
+
+  return chart.color(d.data);
+}
+
+/**
+ * What a circle is filled with instead of its plain color, if anything: the
+ * image of its data object, read with the image accessor, or the pattern of
+ * its color. Selected bubbles with a selectedColor and parents in
+ * hierarchical mode have neither pattern nor color of their own.
+ * Returns one of getImageFill and getPatternFill, or null
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {Object} Fill, or null
+ */
+export function getCircleFillPattern(d, chart) {
+  const image = chart.accessors.image(d.data);
+  if (image) {
+    return getImageFill(image, chart.idPrefix);
+  }
+
+  if (!chart.pattern || (isSelected(d, chart) && chart.selectedColor) || (chart.hierarchical && d.children)) {
+    return null;
+  }
+
+  return getPatternFill(chart.pattern(d.data), chart.color(d.data), chart.idPrefix);
+}
+
+/**
+ * The CSS fill of a circle, its color or its image or pattern
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {string} CSS fill
+ */
+export function getCircleFill(d, chart) {
+  return toFill(getCircleFillPattern(d, chart), getCircleColor(d, chart));
+}
+
+/**
+ * Every image and pattern that the circles and the legend swatches can be
+ * filled with, once each, for the <defs> of the chart. Patterns of selected
+ * bubbles are included so that selecting them doesn't need new ones.
+ *
+ * @param {Object[]} nodes Nodes with circles
+ * @param {Object} chart Chart or layout options
+ * @param {Object[]} [legendItems] Legend swatches
+ * @returns {Object[]} Fills
+ */
+export function getFillPatterns(nodes, chart, legendItems = []) {
+  const fills = new Map();
+  const unselected = { ...chart, selectedIds: new Set() };
+  for (const d of nodes) {
+    const fill = getCircleFillPattern(d, unselected);
+    if (fill) {
+      fills.set(fill.id, fill);
+    }
+  }
+
+  for (const item of legendItems) {
+    const fill = getPatternFill(item.pattern, item.color, chart.idPrefix);
+    if (fill) {
+      fills.set(fill.id, fill);
+    }
+  }
+
+  return [ ...fills.values() ];
+}
+
+export function getCircleClass(d, chart) {
+  return classnames([
+    'bubble',
+    d.children ? 'parent' : 'leaf',
+    'depth-' + d.depth,
+    isSelected(d, chart) && 'selected',
+    isHighlighted(d, chart) && 'highlighted',
+  ]);
+}
+
+/**
+ * Whether a label goes below its bubble instead of inside of it, for one
+ * that would hide an image. labelPlacement is `inside`, `below` or a function
+ * of the node that returns either. Parent labels in hierarchical mode stay
+ * along the top edge of their circle.
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {boolean} Label goes below
+ */
+export function isLabelBelow(d, chart) {
+  const { labelPlacement } = chart;
+  if (!labelPlacement || (chart.hierarchical && d.children)) {
+    return false;
+  }
+
+  return (typeof labelPlacement === 'function' ? labelPlacement(d) : labelPlacement) === 'below';
+}
+
+/**
+ * Labels below their bubble aren't over its color, they are left to the CSS
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {string} Text color
+ */
+export function getLabelColor(d, chart) {
+  if (isLabelBelow(d, chart)) {
+    return undefined;
+  }
+
+  if (isSelected(d, chart) && chart.selectedTextColor) {
+    return chart.selectedTextColor;
+  }
+
+  return chart.textColor(d.data);
+}
+
+/**
+ * `small`, `medium` or `large`, depending on the diameter of the bubble
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {string} Size class
+ */
+export function getLabelSize(d, chart) {
+  if (2 * d.r < chart.smallDiameter) {
+    return 'small';
+  }
+
+  return 2 * d.r < chart.mediumDiameter ? 'medium' : 'large';
+}
+
+export function getLabelClass(d, chart) {
+  return classnames([
+    'bubble-label',
+    getLabelSize(d, chart),
+    chart.hierarchical && d.children && 'parent',
+    chart.hierarchical && 'depth-' + d.depth,
+    isSelected(d, chart) && 'selected',
+    isHighlighted(d, chart) && 'highlighted',
+    isLabelFitted(d, chart) && 'fitted',
+    isLabelBelow(d, chart) && 'below',
+  ]);
+}
+
+export function getLabelText(d, chart) {
+  return chart.accessors.label(d.data) || d.id;
+}
+
+/**
+ * Normalize the labelFit option, null if the labels are not fitted
+ *
+ * @param {boolean|Object} labelFit labelFit prop
+ * @returns {Object} Options, or null
+ */
+export function toLabelFit(labelFit) {
+  if (!labelFit) {
+    return null;
+  }
+
+  const { minFontSize = 8, maxFontSize = Infinity, value } = labelFit === true ? {} : labelFit;
+  return {
+    minFontSize,
+    maxFontSize,
+    value: value === true ? d3.format(',') : value || null,
+  };
+}
+
+/**
+ * Parent labels sit along the top edge of their circle, the rest are fitted
+ * into it when labelFit is on, unless they go below it
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {boolean} Is fitted
+ */
+export function isLabelFitted(d, chart) {
+  return Boolean(chart.labelFit) && !(chart.hierarchical && d.children) && !isLabelBelow(d, chart);
+}
+
+/**
+ * The font size and lines of a fitted label, or null if it isn't fitted.
+ * Text is measured with chart.measureText, or guessed if there's none.
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {Object} See fitLabel
+ */
+export function getLabelFit(d, chart) {
+  if (!isLabelFitted(d, chart)) {
+    return null;
+  }
+
+  const { minFontSize, maxFontSize, value } = chart.labelFit;
+  return fitLabel(getLabelText(d, chart) || '', value ? String(value(d.value, d)) : null, d.r, {
+    minFontSize,
+    maxFontSize,
+    measure: chart.measureText,
+  });
+}
+
+/**
+ * What a screen reader says about a bubble: its text, value and the legend
+ * text of its color, if there is any
+ *
+ * @param {Object} d Node
+ * @param {Object} chart Chart or layout options
+ * @returns {string} Accessible label
+ */
+export function getAriaLabel(d, chart) {
+  return [
+    getLabelText(d, chart),
+    d.value,
+    !d.children && chart.legendText && chart.legendText(d.data),
+    isSelected(d, chart) && 'selected',
+  ].filter(x => x !== undefined && x !== null && x !== false && x !== '').join(', ');
+}
+
+/**
+ * Describe the whole chart for screen readers, bubbles from largest to smallest
+ *
+ * @param {Object} root Laid out tree
+ * @param {Object} chart Chart or layout options
+ * @returns {string} Chart description
+ */
+export function getDescription(root, chart) {
+  const bubbles = root.descendants()
+    .filter(d => isCircleDrawn(d, chart))
+    .sort((a, b) => b.value - a.value)
+    .map(d => getAriaLabel(d, chart));
+  const legend = (chart.colorLegend || [])
+    .map(c => typeof c === 'string' ? undefined : c.text)
+    .filter(Boolean);
+
+  return bubbles.length + (bubbles.length === 1 ? ' bubble' : ' bubbles') +
+    (bubbles.length > 0 ? ', from largest to smallest: ' + bubbles.join('; ') + '.' : '.') +
+    (legend.length > 0 ?
+      (chart.colorScale === 'categorical' ? ' Colors: ' : ' Colors, from lowest to highest: ') +
+        legend.join(', ') + '.' :
+      '');
+}
+
+/**
+ * The colorValues of all of the frames of a time series, so that colors mean
+ * the same thing in every one of them
+ *
+ * @param {Object[]} frames frames prop
+ * @param {Object} options Chart props
+ * @returns {Object} Min and max, if any
+ */
+export function getFramesDomain(frames, options) {
+  const accessors = toAccessors(options);
+  const { value: colorValue } = toColorAccessors(options);
+  const values = [].concat(...frames.map(frame => toHierarchy(frame.data, accessors).leaves().map(d => colorValue(d.data))));
+  const [ min, max ] = d3.extent(values);
+  return min === undefined ? undefined : { min, max };
+}
+
+/**
+ * Lay out the bubble chart without a DOM: returns the geometry, colors and
+ * classes of every circle and label, as ReactBubbleChartD3 would draw them in
+ * a container of the given width and height. Takes the same options as the
+ * ReactBubbleChart props, force layout is not supported. The problems that
+ * validateData finds with the data are returned too, they are not reported.
+ *
+ * @param {Object|Object[]} rawData Chart data
+ * @param {Object} options Chart props, with width and height
+ * @returns {Object} The layout
+ */
+export default function computeBubbleLayout(rawData, options) {
+  const { width, height, fontSizeFactor } = options;
+  const { data, problems } = options.validation === 'off' ?
+    { data: rawData, problems: [] } :
+    validateData(rawData, { ...options, sanitize: options.validation === 'sanitize' });
+  const chart = {
+    ...options,
+    padding: typeof options.padding === 'number' ? options.padding : 3,
+    legendSpacing: typeof options.legendSpacing === 'number' ? options.legendSpacing : 3,
+    smallDiameter: options.smallDiameter || 40,
+    mediumDiameter: options.mediumDiameter || 115,
+    layout: 'pack',
+    selectedIds: options.selectedIds ? new Set(options.selectedIds) : null,
+    highlight: toHighlight(options.highlight),
+    highlightOpacity: options.highlightOpacity === undefined ? 0.2 : options.highlightOpacity,
+    labelFit: toLabelFit(options.labelFit),
+    accessors: toAccessors(options),
+  };
+
+  // Colors come from all of the data, so that they stay put when hiding some.
+  // The legends take their space before the bubbles are packed into the rest.
+  const hierarchy = toHierarchy(data, chart.accessors);
+  const scales = getColorScales(hierarchy, chart);
+  const placement = chart.legendPlacement;
+  const packOptions = {
+    fit: chart.fit,
+    maxValue: chart.maxValue,
+    accessors: chart.accessors,
+    padding: chart.padding,
+    isHidden: getIsHidden(scales, chart.hiddenLegendItems),
+    facetBy: chart.facetBy,
+    facetTitle: chart.facetTitle,
+  };
+  const colorLegendLayout = chart.legend ?
+    getLegendLayout(chart.colorLegend, {
+      width,
+      height,
+      legendSpacing: chart.legendSpacing,
+      scales,
+      orientation: chart.legendOrientation,
+      placement,
+    }) :
+    null;
+  const [ legend, sizeLegend ] = stackLegends([
+    colorLegendLayout,
+    chart.sizeLegend ?
+      getSizeLegendLayout(data, {
+        ...packOptions,
+        width,
+        height,
+        placement,
+        plot: getPlotArea(width, height, [ colorLegendLayout ]),
+        focusedId: chart.focusedId,
+      }) :
+      null,
+  ], { width, height, placement });
+  const plot = getPlotArea(width, height, [ legend, sizeLegend ]);
+  const root = packData(data, { ...packOptions, width: plot.width, height: plot.height });
+  Object.assign(chart, scales);
+  const focus = findFocus(root, chart.focusedId);
+  zoomTo(root, focus, plot.width, plot.height);
+
+  const key = d => 'g' + d.id;
+  return {
+    width,
+    height,
+    plot,
+    diameter: Math.min(plot.width, plot.height),
+    root,
+    problems,
+    circles: root.descendants().filter(d => isCircleDrawn(d, chart)).map(d => ({
+      key: key(d),
+      id: d.id,
+      x: d.x,
+      y: d.y,
+      r: d.r,
+      fill: getCircleFill(d, chart),
+      opacity: isCircleInFocus(d, focus) ? (isFaded(d, chart) ? chart.highlightOpacity : 1) : 0,
+      className: getCircleClass(d, chart),
+      node: d,
+    })),
+    labels: root.descendants().filter(d => isLabelDrawn(d, chart)).map(d => {
+      const fit = getLabelFit(d, chart);
+      return {
+        key: key(d),
+        id: d.id,
+        text: getLabelText(d, chart),
+        left: d.x - d.r,
+        top: d.y - d.r,
+        width: 2 * d.r,
+        height: 2 * d.r,
+        color: getLabelColor(d, chart),
+        opacity: isLabelInFocus(d, focus) && !isFaded(d, chart) ? 1 : 0,
+        fontSize: fit ? fit.fontSize : (fontSizeFactor ? fontSizeFactor * d.r : null),
+        lines: fit ? fit.lines : null,
+        value: fit ? fit.value : null,
+        below: isLabelBelow(d, chart),
+        className: getLabelClass(d, chart),
+        node: d,
+      };
+    }),
+    fills: getFillPatterns(root.descendants().filter(d => isCircleDrawn(d, chart)), chart, legend ? legend.items : []),
+    // Facet titles are hidden while zoomed into a bubble
+    facets: (root.facets || []).map(f => ({ ...f, opacity: focus === root ? 1 : 0 })),
+    legend,
+    sizeLegend: sizeLegend && { ...sizeLegend, items: getSizeLegendItems(root, sizeLegend) },
+  };
+}
@@ -0,0 +1,336 @@
+/* global window, document */
+//------------------------------------------------------------------------------
+// Copyright Jonathan Kaufman 2015
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//------------------------------------------------------------------------------
+
+import * as d3 from 'd3';
+import { isCircleDrawn, isLabelBelow, getCircleFillPattern } from './computeBubbleLayout';
+import { getLabelLines } from './fitLabel';
+import { toFill } from './patterns';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+/**
+ * Where every bubble is going to end up, with the styles it ends up with.
+ * The labels are <div>s, or drawn on the canvas, so they can't be copied
+ * over as they are.
+ *
+ * @param {Object} chart Chart to export
+ * @returns {Object[]} Bubble geometry and styles
+ */
+function getBubbles(chart) {
+  if (chart.canvasRenderer) {
+    return chart.canvasRenderer.order
+      .filter(item => !item.exiting)
+      .map(({ to, text, top, below, fit, fillPattern }) => ({
+        ...to,
+        text,
+        top,
+        below,
+        fit,
+        fillPattern,
+        fontFamily: chart.canvasRenderer.fontFamily,
+        fontWeight: null,
+      }));
+  }
+
+  const nodes = new Set(chart.root ? chart.root.descendants() : []);
+  const circles = new Map();
+  chart.svg.selectAll('circle')
+    .filter(d => nodes.has(d))
+    .each(function (d) {
+      circles.set(d, window.getComputedStyle(this));
+    });
+
+  const bubbles = [];
+  chart.html.selectAll('.bubble-label')
+    .filter(d => nodes.has(d))
+    .each(function (d) {
+      const circleStyle = circles.get(d);
+      const style = window.getComputedStyle(this);
+      const fit = chart.labelFits.get(d);
+      bubbles.push({
+        x: d.x,
+        y: d.y,
+        r: d.r,
+        fill: chart.getCircleColor(d) || (circleStyle && circleStyle.fill),
+        fillPattern: getCircleFillPattern(d, chart),
+        stroke: circleStyle && circleStyle.stroke,
+        opacity: isCircleDrawn(d, chart) ? chart._circleOpacity(d) : 0,
+        text: this.textContent,
+        top: chart.hierarchical && Boolean(d.children),
+        below: isLabelBelow(d, chart),
+        color: chart.getLabelColor(d) || style.color,
+        textOpacity: chart._labelOpacity(d),
+        fontSize: fit || chart.fontSizeFactor ? chart._getFontSize(d) : parseFloat(style.fontSize),
+        fit,
+        fontFamily: style.fontFamily,
+        fontWeight: style.fontWeight,
+      });
+    });
+
+  return bubbles;
+}
+
+/**
+ * Clone the keys of one of the legend <svg>s into the exported one, copying
+ * over whatever the stylesheets say about their text, circles and lines
+ *
+ * @param {Object} svg Exported svg
+ * @param {Object} legendSvg Legend svg
+ * @param {string} keySelector Keys to copy
+ */
+function copyLegend(svg, legendSvg, keySelector) {
+  const legendNode = legendSvg.node();
+  const legend = svg.append('g')
+    .attr('class', legendNode.getAttribute('class'))
+    .attr('transform', 'translate(' + parseFloat(legendNode.style.left) + ',' + parseFloat(legendNode.style.top) + ')');
+  legendSvg.selectAll(keySelector).each(function () {
+    const key = this.cloneNode(true);
+    const copy = (selector, styles) => {
+      d3.select(this).selectAll(selector).each(function (d, i) {
+        const style = window.getComputedStyle(this);
+        const copied = d3.select(key).selectAll(selector).filter((d, j) => i === j);
+        for (const name of styles) {
+          copied.style(name, style.getPropertyValue(name));
+        }
+      });
+    };
+
+    copy('text', [ 'fill', 'font-size', 'font-family', 'font-weight' ]);
+    copy('circle, line', [ 'fill', 'stroke', 'stroke-width', 'stroke-dasharray' ]);
+    legend.node().append(key);
+  });
+}
+
+/**
+ * Read an image into a data: URL, resolves to null if it can't be read, e.g.
+ * from another origin that doesn't allow it
+ *
+ * @param {string} href Image URL
+ * @returns {Promise<string>} data: URL, or null
+ */
+function toDataURL(href) {
+  if (href.startsWith('data:')) {
+    return Promise.resolve(href);
+  }
+
+  if (!window.fetch) {
+    return Promise.resolve(null);
+  }
+
+  return window.fetch(href)
+    .then(response => response.ok ? response.blob() : null)
+    .then(blob => blob && new Promise(resolve => {
+      const reader = new window.FileReader();
+      reader.addEventListener('load', () => resolve(reader.result));
+      reader.addEventListener('error', () => resolve(null));
+      reader.readAsDataURL(blob);
+    }))
+    .catch(() => null);
+}
+
+/**
+ * Swap the URLs of the images that the circles are filled with for data:
+ * URLs, since an SVG that is drawn as an image doesn't load anything. Images
+ * that can't be read are left out, so that their circles fall back on their
+ * colors.
+ *
+ * @param {Object} svg Exported svg
+ * @returns {Promise} Done inlining
+ */
+function inlineImages(svg) {
+  const images = svg.selectAll('pattern image').nodes();
+  return Promise.all(images.map(image => {
+    const href = image.getAttributeNS(XLINK_NS, 'href') || image.getAttribute('href');
+    return toDataURL(href).then(url => {
+      if (url) {
+        image.setAttributeNS(XLINK_NS, 'xlink:href', url);
+      } else {
+        image.parentNode.remove();
+      }
+    });
+  }));
+}
+
+/**
+ * Draw the chart into a standalone <svg>: circles, labels and facet titles as
+ * <text> elements and the legends, with all of their styles inlined
+ *
+ * @param {Object} chart Chart to export
+ * @returns {Object} The svg
+ */
+function createSVG(chart) {
+  const { width, height } = chart;
+  const svg = d3.select(document.createElementNS(SVG_NS, 'svg'))
+    .attr('xmlns', SVG_NS)
+    .attr('width', width)
+    .attr('height', height)
+    .attr('viewBox', '0 0 ' + width + ' ' + height);
+  const defs = svg.append('defs');
+  // The images and patterns of the circles and legend swatches
+  chart.fills.selectAll('pattern').each(function () {
+    defs.node().append(this.cloneNode(true));
+  });
+
+  const htmlNode = chart.html.node();
+  const bubbles = svg.append('g')
+    .attr('class', 'bubble-chart-d3')
+    .attr('transform', 'translate(' + htmlNode.offsetLeft + ',' + htmlNode.offsetTop + ')');
+
+  getBubbles(chart).forEach((b, i) => {
+    if (!(b.r > 0)) {
+      return;
+    }
+
+    if (b.opacity > 0) {
+      bubbles.append('circle')
+        .attr('class', 'bubble')
+        .attr('cx', b.x)
+        .attr('cy', b.y)
+        .attr('r', b.r)
+        .style('fill', toFill(b.fillPattern, b.fill || '#000000'))
+        .style('stroke', b.stroke || 'none')
+        .style('opacity', b.opacity);
+    }
+
+    if (!b.text || !(b.textOpacity > 0) || !(b.fontSize > 0)) {
+      return;
+    }
+
+    const text = bubbles.append('text')
+      .attr('class', 'bubble-label')
+      .attr('x', b.x)
+      .attr('text-anchor', 'middle')
+      .style('fill', b.color || '#000000')
+      .style('opacity', b.textOpacity)
+      .style('font-size', b.fontSize + 'px')
+      .style('font-family', b.fontFamily)
+      .style('font-weight', b.fontWeight)
+      .text(b.text);
+
+    if (b.top) {
+      // Parent labels sit along the top edge of their circle
+      text.attr('y', b.y - b.r + b.fontSize / 2)
+        .attr('dominant-baseline', 'hanging');
+    } else if (b.below) {
+      text.attr('y', b.y + b.r + 2)
+        .attr('dominant-baseline', 'hanging');
+    } else {
+      // Like the label divs, hide whatever does not fit in the circle. The
+      // ids are the chart's, so that exports inlined in one page don't clash
+      const id = chart.idPrefix + 'label-clip-' + i;
+      defs.append('clipPath')
+        .attr('id', id)
+        .append('circle')
+        .attr('cx', b.x)
+        .attr('cy', b.y)
+        .attr('r', b.r);
+      text.attr('y', b.y)
+        .attr('dominant-baseline', 'central')
+        .attr('clip-path', 'url(#' + id + ')');
+      if (b.fit) {
+        // Fitted labels get a <tspan> for each of their lines
+        text.text(null)
+          .selectAll('tspan')
+          .data(getLabelLines(b.fit, b.fontSize))
+          .enter()
+          .append('tspan')
+          .attr('x', b.x)
+          .attr('y', line => b.y + line.y)
+          .style('font-size', line => line.fontSize + 'px')
+          .text(line => line.text);
+      }
+    }
+  });
+
+  chart.html.selectAll('.bubble-facet-title')
+    .filter(f => f && chart.focus === chart.root)
+    .each(function (f) {
+      const style = window.getComputedStyle(this);
+      bubbles.append('text')
+        .attr('class', 'bubble-facet-title')
+        .attr('x', f.left + f.width / 2)
+        .attr('y', f.top + f.height / 2)
+        .attr('text-anchor', 'middle')
+        .attr('dominant-baseline', 'central')
+        .style('fill', style.color)
+        .style('font-size', style.fontSize)
+        .style('font-family', style.fontFamily)
+        .style('font-weight', style.fontWeight)
+        .text(f.title);
+    });
+
+  if (chart.createLegend) {
+    copyLegend(svg, chart.legend, '.legend-key');
+  }
+
+  if (chart.createSizeLegend) {
+    copyLegend(svg, chart.sizeLegend, '.size-legend-key');
+  }
+
+  return svg;
+}
+
+/**
+ * Serialize the chart into a standalone SVG document, see createSVG. Images
+ * are linked to by their URLs, only the ones given as data: URLs are part of
+ * the document itself.
+ *
+ * @param {Object} chart Chart to export
+ * @returns {string} SVG document
+ */
+export function exportSVG(chart) {
+  return new window.XMLSerializer().serializeToString(createSVG(chart).node());
+}
+
+/**
+ * Rasterize the SVG of exportSVG with its images inlined, resolves to a PNG
+ * Blob. The scale multiplies the size of the chart, use 2 for high density
+ * screens or print.
+ *
+ * @param {Object} chart Chart to export
+ * @param {Object} [options] Image scale
+ * @returns {Promise<Blob>} PNG image
+ */
+export function exportPNG(chart, { scale = 1 } = {}) {
+  const { width, height } = chart;
+  const svg = createSVG(chart);
+
+  return inlineImages(svg).then(() => new Promise((resolve, reject) => {
+    const source = new window.XMLSerializer().serializeToString(svg.node());
+    const image = new window.Image();
+    image.addEventListener('load', () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Could not rasterize the bubble chart'));
+        }
+      }, 'image/png');
+    });
+    image.addEventListener('error', () => {
+      reject(new Error('Could not load the exported bubble chart SVG'));
+    });
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(source);
+  }));
+}
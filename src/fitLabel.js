@@ -0,0 +1,253 @@
+//------------------------------------------------------------------------------
+// Copyright Jonathan Kaufman 2015
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//------------------------------------------------------------------------------
+
+// Height of a line of a fitted label, in ems, same as in style.css
+export const LINE_HEIGHT = 1.1;
+
+// Size of the value line relative to the rest of the label, same as in style.css
+export const VALUE_SCALE = 0.8;
+
+// Text stays this far inside of the circle, as a fraction of its radius
+const INSET = 0.9;
+
+const ELLIPSIS = '…';
+
+/**
+ * Without a DOM there's nothing to measure text with, so guess from the
+ * number of characters
+ *
+ * @param {string} text Text
+ * @param {number} fontSize Font size
+ * @returns {number} Width in pixels
+ */
+export function estimateTextWidth(text, fontSize) {
+  return text.length * fontSize * 0.6;
+}
+
+/**
+ * The widths available to n lines of text stacked in the middle of a circle,
+ * followed by the width of the value line if there is one
+ *
+ * @param {number} n Number of lines
+ * @param {number} r Radius
+ * @param {number} fontSize Font size
+ * @param {boolean} hasValue Has a value line
+ * @returns {number[]} Line widths
+ */
+function getLineWidths(n, r, fontSize, hasValue) {
+  const lineHeight = fontSize * LINE_HEIGHT;
+  const heights = new Array(n).fill(lineHeight).concat(hasValue ? [ lineHeight * VALUE_SCALE ] : []);
+  let top = -heights.reduce((a, b) => a + b, 0) / 2;
+  return heights.map(height => {
+    const bottom = top + height;
+    // The line is as wide as the circle is at its edge furthest from the center
+    const y = top < 0 && bottom > 0 ? 0 : Math.max(Math.abs(top), Math.abs(bottom));
+    top = bottom;
+    return 2 * Math.sqrt(Math.max(r * r - y * y, 0));
+  });
+}
+
+/**
+ * Fill the lines with words, as many on each as fit. Returns null if they
+ * don't all fit.
+ *
+ * @param {string[]} words Words
+ * @param {number[]} widths Line widths
+ * @param {number} fontSize Font size
+ * @param {Function} measure Text measure
+ * @returns {string[]} Lines, or null
+ */
+function wrapWords(words, widths, fontSize, measure) {
+  const lines = [];
+  let line = '';
+  for (const word of words) {
+    const next = line ? line + ' ' + word : word;
+    if (measure(next, fontSize) <= widths[lines.length]) {
+      line = next;
+      continue;
+    }
+
+    if (!line) {
+      return null;
+    }
+
+    lines.push(line);
+    if (lines.length === widths.length || measure(word, fontSize) > widths[lines.length]) {
+      return null;
+    }
+
+    line = word;
+  }
+
+  return line ? lines.concat([ line ]) : lines;
+}
+
+/**
+ * Cut characters off of the end of the text until it fits, with an ellipsis
+ *
+ * @param {string} text Text
+ * @param {number} width Available width
+ * @param {number} fontSize Font size
+ * @param {Function} measure Text measure
+ * @returns {string} Text that fits
+ */
+function ellipsize(text, width, fontSize, measure) {
+  if (measure(text, fontSize) <= width) {
+    return text;
+  }
+
+  for (let length = text.length - 1; length > 0; length--) {
+    const truncated = text.slice(0, length).replace(/\s+$/, '') + ELLIPSIS;
+    if (measure(truncated, fontSize) <= width) {
+      return truncated;
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Fill as many lines as fit, the last one and words that don't fit on a
+ * line by themselves are cut off with an ellipsis
+ *
+ * @param {string[]} words Words
+ * @param {number[]} widths Line widths
+ * @param {number} fontSize Font size
+ * @param {Function} measure Text measure
+ * @returns {string[]} Lines
+ */
+function truncateWords(words, widths, fontSize, measure) {
+  const lines = [];
+  let rest = words;
+  for (let i = 0; i < widths.length && rest.length > 0; i++) {
+    let count = 0;
+    while (count < rest.length && measure(rest.slice(0, count + 1).join(' '), fontSize) <= widths[i]) {
+      count += 1;
+    }
+
+    if (i === widths.length - 1 && count < rest.length) {
+      lines.push(ellipsize(rest.join(' '), widths[i], fontSize, measure));
+      rest = [];
+    } else if (count === 0) {
+      lines.push(ellipsize(rest[0], widths[i], fontSize, measure));
+      rest = rest.slice(1);
+    } else {
+      lines.push(rest.slice(0, count).join(' '));
+      rest = rest.slice(count);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Lay the text out at a font size, on as few lines as it fits on, or
+ * truncated if it doesn't fit on any number of lines
+ *
+ * @param {Object} text Words, value text, radius and measure
+ * @param {number} fontSize Font size
+ * @param {boolean} truncate Cut off what doesn't fit
+ * @returns {Object} Layout, or null
+ */
+function layoutText({ words, valueText, r, measure }, fontSize, truncate) {
+  const hasValue = valueText !== null;
+  const valueHeight = hasValue ? fontSize * LINE_HEIGHT * VALUE_SCALE : 0;
+  const maxLines = Math.floor((2 * r - valueHeight) / (fontSize * LINE_HEIGHT));
+  for (let n = 1; n <= Math.min(maxLines, words.length); n++) {
+    const widths = getLineWidths(n, r, fontSize, hasValue);
+    const lines = wrapWords(words, widths, fontSize, measure);
+    if (lines && (!hasValue || measure(valueText, fontSize * VALUE_SCALE) <= widths[n])) {
+      return { fontSize, lines, value: valueText };
+    }
+  }
+
+  if (!truncate || maxLines < 1) {
+    return null;
+  }
+
+  const widths = getLineWidths(Math.min(maxLines, words.length), r, fontSize, hasValue);
+  const lines = truncateWords(words, widths.slice(0, hasValue ? -1 : undefined), fontSize, measure)
+    .filter(Boolean);
+  const value = hasValue ? ellipsize(valueText, widths[widths.length - 1], fontSize * VALUE_SCALE, measure) : null;
+  return lines.length > 0 ? { fontSize, lines, value: value || null } : null;
+}
+
+/**
+ * The largest font size the text fits into a circle of radius r at, wrapped
+ * onto lines and followed by the value text, if it isn't null. If the text
+ * doesn't fit at the minFontSize it is cut off with an ellipsis, and if not
+ * even that fits the font size is 0.
+ *
+ * measure(text, fontSize) is the width of the text in pixels.
+ * Returns { fontSize, lines, value }
+ *
+ * @param {string} text Label text
+ * @param {string} valueText Value text, or null
+ * @param {number} r Radius
+ * @param {Object} options Font sizes and measure
+ * @returns {Object} Layout
+ */
+export default function fitLabel(text, valueText, r, { minFontSize, maxFontSize, measure = estimateTextWidth }) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const inner = r * INSET;
+  const empty = { fontSize: 0, lines: [], value: null };
+  let low = minFontSize;
+  let high = Math.min(maxFontSize, 2 * inner / LINE_HEIGHT);
+  if (words.length === 0 || !(high >= low)) {
+    return empty;
+  }
+
+  const label = { words, valueText, r: inner, measure };
+  let best = layoutText(label, low, false);
+  if (!best) {
+    return layoutText(label, low, true) || empty;
+  }
+
+  // Binary search for the largest font size that still fits
+  while (high - low > 0.5) {
+    const fontSize = (low + high) / 2;
+    const layout = layoutText(label, fontSize, false);
+    if (layout) {
+      low = fontSize;
+      best = layout;
+    } else {
+      high = fontSize;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Where each line of a fitted label goes, relative to the center of its
+ * circle, at a font size. For renderers that can't wrap text themselves.
+ * Returns [ { text, y, fontSize } ]
+ *
+ * @param {Object} fit Fitted label
+ * @param {number} fontSize Font size
+ * @returns {Object[]} Lines
+ */
+export function getLabelLines({ lines, value }, fontSize) {
+  const all = lines.map(text => ({ text, fontSize }))
+    .concat(value === null ? [] : [ { text: value, fontSize: fontSize * VALUE_SCALE } ]);
+  let top = -all.reduce((height, line) => height + line.fontSize * LINE_HEIGHT, 0) / 2;
+  return all.map(line => {
+    const height = line.fontSize * LINE_HEIGHT;
+    const y = top + height / 2;
+    top += height;
+    return { ...line, y };
+  });
+}
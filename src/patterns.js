@@ -0,0 +1,109 @@
+//------------------------------------------------------------------------------
+// Copyright Jonathan Kaufman 2015
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//------------------------------------------------------------------------------
+
+import * as d3 from 'd3';
+
+// The patterns that colorPatterns hands out to the colorLegend entries in
+// turn, the first one is the plain color
+export const PATTERNS = [ 'solid', 'hatch', 'dots', 'crosshatch', 'horizontal', 'vertical' ];
+
+// What the ids of the patterns start with, unless the chart has its own
+// idPrefix so that they don't clash with those of other charts on the page
+const ID_PREFIX = 'bubble-';
+
+// Width and height of a tile of a pattern, in pixels
+const TILE_SIZE = 8;
+
+// The marks drawn over the color of a tile as an SVG path, stroked or filled.
+// Diagonals run on into the corners of the tile so that they join up.
+const MARKS = {
+  hatch: { d: 'M-2,2l4,-4M0,8l8,-8M6,10l4,-4', stroke: true },
+  crosshatch: { d: 'M-2,2l4,-4M0,8l8,-8M6,10l4,-4M-2,6l4,4M0,0l8,8M6,-2l4,4', stroke: true },
+  horizontal: { d: 'M0,4h8', stroke: true },
+  vertical: { d: 'M4,0v8', stroke: true },
+  dots: { d: 'M0.5,2a1.5,1.5 0 1,0 3,0a1.5,1.5 0 1,0 -3,0M4.5,6a1.5,1.5 0 1,0 3,0a1.5,1.5 0 1,0 -3,0', stroke: false },
+};
+
+/**
+ * A short hash of a string, to tell patterns apart by in their ids
+ *
+ * @param {string} s String
+ * @returns {string} Hash
+ */
+function hash(s) {
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) {
+    h = ((h * 33) ^ s.charCodeAt(i)) >>> 0;
+  }
+
+  return h.toString(36);
+}
+
+/**
+ * A pattern of one of the PATTERNS over a color, which stays readable in
+ * grayscale. The marks are whichever of black and white stands out against
+ * the color. Ids only depend on what the pattern looks like, after the
+ * idPrefix of the chart that draws it. null for `solid` and anything that
+ * isn't one of the PATTERNS.
+ * Returns { id, type, color, size, d, stroke, markColor }
+ *
+ * @param {string} type Pattern type
+ * @param {string} color Color
+ * @param {string} [idPrefix] Id prefix
+ * @returns {Object} Fill, or null
+ */
+export function getPatternFill(type, color, idPrefix = ID_PREFIX) {
+  if (!Object.prototype.hasOwnProperty.call(MARKS, type) || !color) {
+    return null;
+  }
+
+  return {
+    id: idPrefix + 'pattern-' + type + '-' + hash(String(color)),
+    type,
+    color,
+    size: TILE_SIZE,
+    ...MARKS[type],
+    markColor: d3.hsl(color).l <= 0.5 ? 'rgba(255, 255, 255, 0.6)' : 'rgba(0, 0, 0, 0.45)',
+  };
+}
+
+/**
+ * An image that covers a circle, cropped to it and scaled along with it
+ * Returns { id, type: 'image', href }
+ *
+ * @param {string} href Image URL
+ * @param {string} [idPrefix] Id prefix
+ * @returns {Object} Fill
+ */
+export function getImageFill(href, idPrefix = ID_PREFIX) {
+  return { id: idPrefix + 'image-' + hash(String(href)), type: 'image', href };
+}
+
+/**
+ * The CSS fill of an image or pattern, with the color to fall back on until
+ * it shows up
+ *
+ * @param {Object} fill Image or pattern
+ * @param {string} [color] Fallback color
+ * @returns {string} CSS fill
+ */
+export function toFill(fill, color) {
+  if (!fill) {
+    return color;
+  }
+
+  return 'url(#' + fill.id + ')' + (color ? ' ' + color : '');
+}
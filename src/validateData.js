@@ -0,0 +1,185 @@
+//------------------------------------------------------------------------------
+// Copyright Jonathan Kaufman 2015
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//------------------------------------------------------------------------------
+
+import { toAccessors, toColorAccessors, SANITIZED_CHILDREN, SANITIZED_VALUE } from './accessors';
+
+// Long lists of ids are cut short in the messages
+const MAX_LISTED_IDS = 10;
+
+const list = ids => ids.slice(0, MAX_LISTED_IDS).join(', ') +
+  (ids.length > MAX_LISTED_IDS ? ' and ' + (ids.length - MAX_LISTED_IDS) + ' more' : '');
+
+const MESSAGES = {
+  'duplicate-id': ids => 'More than one data object has the _id ' + list(ids),
+  'missing-id': ids => ids.length + (ids.length === 1 ? ' data object has' : ' data objects have') + ' no _id',
+  'invalid-value': ids => 'Negative or non-numeric value of ' + list(ids),
+  'missing-color-value': ids => 'No numeric colorValue for ' + list(ids),
+  'missing-color-key': ids => 'No colorKey for ' + list(ids),
+  'empty-color-legend': () => 'colorLegend is empty, the bubbles have no colors',
+};
+
+const isNumeric = x => x !== undefined && x !== null && x !== '' && Number.isFinite(Number(x));
+
+/**
+ * What's wrong with a single data object, as pairs of the type of problem and
+ * what sanitizing does about it, `drop` or `clamp`
+ *
+ * @param {Object} item Data object
+ * @param {Set} seen Ids so far
+ * @param {Object} options Accessors and color scale
+ * @returns {Array[]} Problems
+ */
+function findProblems(item, seen, { accessors, color, colorScale }) {
+  const id = accessors.id(item);
+  const children = accessors.children(item);
+  const value = accessors.value(item);
+  const problems = [];
+  if (id === undefined || id === null) {
+    problems.push([ 'missing-id', 'drop' ]);
+  } else if (seen.has(id)) {
+    problems.push([ 'duplicate-id', 'drop' ]);
+  }
+
+  const leaf = !children;
+  if (leaf || (value !== undefined && value !== null)) {
+    if (!isNumeric(value)) {
+      problems.push([ 'invalid-value', 'drop' ]);
+    } else if (Number(value) < 0) {
+      problems.push([ 'invalid-value', 'clamp' ]);
+    }
+  }
+
+  if (!leaf || !colorScale || typeof colorScale === 'function') {
+    return problems;
+  }
+
+  if (colorScale === 'categorical') {
+    if (color.key(item) === undefined) {
+      problems.push([ 'missing-color-key', 'drop' ]);
+    }
+  } else if (!isNumeric(color.value(item))) {
+    problems.push([ 'missing-color-value', 'drop' ]);
+  }
+
+  return problems;
+}
+
+/**
+ * Check the data for the things that would otherwise break the chart in odd
+ * ways. With sanitize, the data objects that have them are dropped or their
+ * values clamped. Returns the data to draw and the problems that were found,
+ * at most one of each type:
+ *   { type, ids, message }
+ * type is one of:
+ *   duplicate-id - the ones after the first are dropped
+ *   missing-id - dropped, ids are undefined
+ *   invalid-value - negative values are clamped to 0, non-numeric ones dropped
+ *   missing-color-value - dropped, only for the quantize, sequential and
+ *     diverging colorScales
+ *   missing-color-key - dropped, only for the categorical colorScale
+ *   empty-color-legend - only reported, the bubbles have no colors
+ * Parents only need an _id, their value is the sum of their children's. The
+ * fields are read with the accessors of the options, like the chart does.
+ * Colors are only checked when there is a colorLegend or a colorScale, without
+ * them the bubbles are left to the CSS.
+ *
+ * @param {Object|Object[]} data Chart data
+ * @param {Object} options Chart props
+ * @returns {Object} Data and problems
+ */
+export default function validateData(data, options) {
+  const { colorLegend, sanitize = false } = options;
+  const colorScale = options.colorScale || (colorLegend ? 'quantize' : undefined);
+  const accessors = toAccessors(options);
+  const color = toColorAccessors(options);
+  const found = new Map();
+  const report = (type, id) => {
+    found.set(type, (found.get(type) || []).concat([ id ]));
+  };
+
+  const seen = new Set();
+  // Returns the data object to keep, or null if it's dropped
+  const check = item => {
+    const id = accessors.id(item);
+    const itemProblems = findProblems(item, seen, { accessors, color, colorScale });
+    seen.add(id);
+    for (const [ type ] of itemProblems) {
+      report(type, id);
+    }
+
+    const children = accessors.children(item);
+    const kept = children && children.map(check).filter(Boolean);
+    if (!sanitize) {
+      return item;
+    }
+
+    if (itemProblems.some(([ , fix ]) => fix === 'drop')) {
+      return null;
+    }
+
+    // What's left to fix are negative values
+    const clamped = itemProblems.length > 0;
+    const childrenChanged = Boolean(kept) && (kept.length !== children.length || kept.some((c, i) => c !== children[i]));
+    return clamped || childrenChanged ?
+      { ...item, ...(clamped && { [SANITIZED_VALUE]: 0 }), ...(childrenChanged && { [SANITIZED_CHILDREN]: kept }) } :
+      item;
+  };
+
+  // The top level is an array of data objects, or the root of a nested chart
+  // which is never drawn itself
+  const checkAll = items => items.map(check).filter(Boolean);
+  const checked = Array.isArray(data) ?
+    checkAll(data) :
+    { ...data, [SANITIZED_CHILDREN]: checkAll(accessors.children(data) || []) };
+  if (typeof colorScale !== 'function' && Array.isArray(colorLegend) && colorLegend.length === 0) {
+    found.set('empty-color-legend', []);
+  }
+
+  const problems = [ ...found ].map(([ type, ids ]) => ({ type, ids, message: MESSAGES[type](ids) }));
+  return { data: sanitize ? checked : data, problems };
+}
+
+/**
+ * Let the developer know about the problems validateData found: warn about
+ * them in development, pass them to onDataError and throw in strict mode.
+ * The same problems as last time aren't warned about again, so that charts
+ * updated over and over don't flood the console.
+ * Returns the message about the problems, to pass back in as lastMessage
+ *
+ * @param {Object[]} problems Problems
+ * @param {Object} options validation and onDataError
+ * @param {string} lastMessage Last message
+ * @returns {string} Message
+ */
+export function reportDataProblems(problems, { validation, onDataError }, lastMessage) {
+  if (problems.length === 0) {
+    return '';
+  }
+
+  const message = 'react-bubble-chart: ' + problems.map(p => p.message).join('. ');
+  onDataError(problems);
+  if (validation === 'strict') {
+    const error = new Error(message);
+    error.problems = problems;
+    throw error;
+  }
+
+  if (process.env.NODE_ENV !== 'production' && message !== lastMessage) {
+    console.warn(message);
+  }
+
+  return message;
+}
@@ -0,0 +1,91 @@
+// Compiles the sources and the tests with the same babel as `npm run compile`,
+// leaving async functions to node, and sets up a jsdom window to mount the
+// chart in. Timers and window listeners are tracked from here on so that the
+// tests can tell whether anything outlives the chart.
+require('babel/register')({ blacklist: [ 'regenerator' ] });
+
+const { JSDOM } = require('jsdom');
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', { pretendToBeVisual: true });
+const { window } = dom;
+
+const pending = {
+  timeouts: new Set(),
+  intervals: new Set(),
+  frames: new Set(),
+  listeners: [],
+};
+
+const track = (set, schedule, cancel) => ({
+  schedule: (fn, ...args) => {
+    const id = schedule((...a) => {
+      set.delete(id);
+      fn(...a);
+    }, ...args);
+    set.add(id);
+    return id;
+  },
+  cancel: id => {
+    set.delete(id);
+    cancel(id);
+  },
+});
+
+const timeouts = track(pending.timeouts, setTimeout, clearTimeout);
+global.setTimeout = timeouts.schedule;
+global.clearTimeout = timeouts.cancel;
+window.setTimeout = timeouts.schedule;
+window.clearTimeout = timeouts.cancel;
+
+// Intervals stay pending until they are cleared
+const nativeSetInterval = global.setInterval;
+const nativeClearInterval = global.clearInterval;
+global.setInterval = (...args) => {
+  const id = nativeSetInterval(...args);
+  pending.intervals.add(id);
+  return id;
+};
+
+global.clearInterval = id => {
+  pending.intervals.delete(id);
+  nativeClearInterval(id);
+};
+
+window.setInterval = global.setInterval;
+window.clearInterval = global.clearInterval;
+
+const frames = track(pending.frames, window.requestAnimationFrame.bind(window), window.cancelAnimationFrame.bind(window));
+window.requestAnimationFrame = frames.schedule;
+window.cancelAnimationFrame = frames.cancel;
+
+const { addEventListener, removeEventListener } = window;
+window.addEventListener = function (type, listener, options) {
+  pending.listeners.push({ type, listener });
+  return addEventListener.call(this, type, listener, options);
+};
+
+window.removeEventListener = function (type, listener, options) {
+  pending.listeners = pending.listeners.filter(l => l.type !== type || l.listener !== listener);
+  return removeEventListener.call(this, type, listener, options);
+};
+
+// Jsdom doesn't lay anything out, so every element gets the same size
+Object.defineProperty(window.HTMLElement.prototype, 'offsetWidth', { get: () => 400 });
+Object.defineProperty(window.HTMLElement.prototype, 'offsetHeight', { get: () => 300 });
+// Nor does it parse the transforms that d3 interpolates, they start out as none
+Object.defineProperty(window.SVGElement.prototype, 'transform', {
+  get: () => ({ baseVal: { consolidate: () => null } }),
+});
+// Nor does it draw, the canvas renderer gets a context that ignores everything
+// but measuring text, every character half as wide as the 100px font the labels
+// are measured in
+window.HTMLCanvasElement.prototype.getContext = () => new Proxy({
+  measureText: text => ({ width: text.length * 50 }),
+}, {
+  get: (target, key) => (key in target ? target[key] : () => {}),
+});
+
+global.window = window;
+global.document = window.document;
+global.navigator = window.navigator;
+global.pending = pending;
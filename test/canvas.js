@@ -0,0 +1,41 @@
+/* global document */
+import test from 'ava';
+import * as d3 from 'd3';
+import CanvasRenderer from '../src/CanvasRenderer';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const style = { fill: '#4ba0bf', opacity: 1, color: '#fff', textOpacity: 1, fontSize: 12 };
+
+const entry = (d, x, y) => ({
+  key: d.id,
+  d,
+  hit: true,
+  delay: 0,
+  enter: { ...style, x, y, r: 0 },
+  target: { ...style, x, y, r: 20 },
+});
+
+test.serial('a bubble is hit where it is drawn in the middle of a transition', async t => {
+  const container = document.createElement('div');
+  document.body.append(container);
+  const renderer = new CanvasRenderer(container, null);
+  renderer.resize({ left: 0, top: 0, width: 400, height: 300 });
+  const options = { ease: d3.easeLinear, exitState: () => ({}) };
+  const d = { id: 'a' };
+  renderer.update([ entry(d, 100, 100) ], { ...options, duration: 0 });
+  renderer.finish();
+  t.is(renderer.nodeAt(100, 100), d);
+
+  renderer.update([ entry(d, 300, 200) ], { ...options, duration: 10000 });
+  await wait(50);
+  t.is(renderer.nodeAt(100, 100), d);
+  t.is(renderer.nodeAt(300, 200), undefined);
+
+  renderer.finish();
+  t.is(renderer.nodeAt(100, 100), undefined);
+  t.is(renderer.nodeAt(300, 200), d);
+
+  renderer.destroy();
+  container.remove();
+});
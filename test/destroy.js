@@ -0,0 +1,164 @@
+/* global window, document, pending */
+import test from 'ava';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import ReactBubbleChart from '../src/ReactBubbleChart';
+import ReactBubbleChartD3 from '../src/ReactBubbleChartD3';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const makeData = (count, offset = 0) => Array.from({ length: count }, (_, i) => ({
+  _id: 'bubble' + (i + offset),
+  value: 10 + i,
+  colorValue: i,
+  group: i % 3,
+}));
+
+const colorLegend = [ '#e8f4f8', '#a6d3e3', '#4ba0bf', '#1b6a87' ];
+
+// What is pending right now, to compare against after the chart is gone
+const snapshot = () => ({
+  timeouts: new Set(pending.timeouts),
+  intervals: new Set(pending.intervals),
+  frames: new Set(pending.frames),
+  listeners: new Set(pending.listeners),
+});
+
+// Whatever was added to the pending timers and listeners since the snapshot
+const leftSince = before => ({
+  timeouts: [ ...pending.timeouts ].filter(id => !before.timeouts.has(id)).length,
+  intervals: [ ...pending.intervals ].filter(id => !before.intervals.has(id)).length,
+  frames: [ ...pending.frames ].filter(id => !before.frames.has(id)).length,
+  listeners: pending.listeners.filter(l => !before.listeners.has(l)).map(l => l.type),
+});
+
+const nothingLeft = { timeouts: 0, intervals: 0, frames: 0, listeners: [] };
+
+const mount = () => {
+  const host = document.createElement('div');
+  document.body.append(host);
+  return host;
+};
+
+const unmount = host => {
+  ReactDOM.unmountComponentAtNode(host);
+  host.remove();
+};
+
+const cycle = async (t, props) => {
+  const before = snapshot();
+  const host = mount();
+  ReactDOM.render(<ReactBubbleChart data={makeData(12)} {...props}/>, host);
+  await wait(20);
+  ReactDOM.render(<ReactBubbleChart data={makeData(8, 4)} {...props}/>, host);
+  // Unmount in the middle of the transitions
+  await wait(20);
+  unmount(host);
+  await wait(100);
+  t.is(host.childNodes.length, 0);
+  t.is(document.body.childNodes.length, 0);
+  t.deepEqual(leftSince(before), nothingLeft);
+};
+
+test.serial('mount, update and unmount leave nothing behind', cycle, {
+  colorLegend,
+  legend: true,
+  tooltip: true,
+  duration: 500,
+});
+
+test.serial('selections and pinned tooltips are cleaned up', cycle, {
+  colorLegend,
+  selectionMode: 'brush',
+  tooltip: true,
+  tooltipTrigger: 'click',
+  duration: 500,
+});
+
+test.serial('the force simulation is stopped', cycle, {
+  colorLegend,
+  layout: 'force',
+  duration: 500,
+});
+
+test.serial('the canvas renderer stops its timer', cycle, {
+  colorLegend,
+  renderer: 'canvas',
+  legend: true,
+  duration: 500,
+});
+
+test.serial('many charts mounted and unmounted in turn leave nothing behind', async t => {
+  const before = snapshot();
+  await [ 0, 1, 2 ].reduce(async previousRound => {
+    await previousRound;
+    const hosts = Array.from({ length: 6 }, mount);
+    hosts.forEach((host, i) => {
+      ReactDOM.render(<ReactBubbleChart legend data={makeData(5 + i)} colorLegend={colorLegend} duration={500}/>, host);
+    });
+    await wait(20);
+    hosts.forEach(unmount);
+  }, Promise.resolve());
+
+  await wait(100);
+  t.is(document.body.childNodes.length, 0);
+  t.deepEqual(leftSince(before), nothingLeft);
+});
+
+test.serial('destroy hands the tooltip back and ignores updates after it', async t => {
+  const before = snapshot();
+  const container = mount();
+  const tooltip = document.createElement('div');
+  container.append(tooltip);
+  const props = {
+    data: makeData(6),
+    colorLegend,
+    legend: true,
+    duration: 300,
+    onTransitionStart: () => {},
+    onTransitionEnd: () => {},
+  };
+  const chart = new ReactBubbleChartD3(container, tooltip, props);
+  chart.update({ ...props, data: makeData(9) }, props);
+  t.true(container.childNodes.length > 1);
+
+  chart.destroy();
+  t.deepEqual([ ...container.childNodes ], [ tooltip ]);
+
+  t.notThrows(() => chart.update({ ...props, data: makeData(3) }, props));
+  t.notThrows(() => chart.destroy());
+  t.deepEqual([ ...container.childNodes ], [ tooltip ]);
+
+  await wait(100);
+  container.remove();
+  t.deepEqual(leftSince(before), nothingLeft);
+});
+
+test.serial('the resize listener goes away with the chart', t => {
+  t.is(typeof window.ResizeObserver, 'undefined');
+  const host = mount();
+  ReactDOM.render(<ReactBubbleChart data={makeData(3)} colorLegend={colorLegend}/>, host);
+  t.true(pending.listeners.some(l => l.type === 'resize'));
+  unmount(host);
+  t.false(pending.listeners.some(l => l.type === 'resize'));
+});
+
+test.serial('strict validation that throws on mount leaves nothing behind', t => {
+  const before = snapshot();
+  const host = mount();
+  const data = [ ...makeData(3), { _id: 'bubble0', value: 1 } ];
+  // React logs the error it rethrows
+  const { error } = console;
+  console.error = () => {};
+  try {
+    t.throws(() => {
+      ReactDOM.render(<ReactBubbleChart data={data} validation="strict" colorLegend={colorLegend}/>, host);
+    }, { message: /bubble0/ });
+  } finally {
+    console.error = error;
+  }
+
+  t.notThrows(() => unmount(host));
+  t.is(host.querySelectorAll('svg, .bubble-chart-text').length, 0);
+  t.deepEqual(leftSince(before), nothingLeft);
+});
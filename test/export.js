@@ -0,0 +1,33 @@
+/* global document */
+import test from 'ava';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import ReactBubbleChart from '../src/ReactBubbleChart';
+
+const data = [ 'a', 'b', 'c' ].map((_id, i) => ({ _id, value: i + 1 }));
+
+test.serial('the label clip paths of two exported charts have ids of their own', t => {
+  const hosts = [ 0, 1 ].map(() => {
+    const host = document.createElement('div');
+    document.body.append(host);
+    return host;
+  });
+  const charts = hosts.map(host => {
+    const chart = React.createRef();
+    // Jsdom has no font sizes to read, the labels get theirs from fontSizeFactor
+    ReactDOM.render(<ReactBubbleChart ref={chart} data={data} duration={0} fontSizeFactor={0.5}/>, host);
+    return chart;
+  });
+  const [ first, second ] = charts.map(chart => {
+    const svg = chart.current.exportSVG();
+    return [ ...svg.matchAll(/<clipPath id="([^"]+)"/g) ].map(m => m[1]);
+  });
+  t.is(first.length, 3);
+  t.is(second.length, 3);
+  t.false(first.some(id => second.includes(id)));
+
+  hosts.forEach(host => {
+    ReactDOM.unmountComponentAtNode(host);
+    host.remove();
+  });
+});
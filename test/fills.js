@@ -0,0 +1,44 @@
+/* global document */
+import test from 'ava';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import ReactDOMServer from 'react-dom/server';
+import ReactBubbleChart from '../src/ReactBubbleChart';
+
+const data = [ 'a', 'b', 'c', 'd' ].map((_id, i) => ({ _id, value: i + 1, colorValue: i % 2 }));
+
+const colorLegend = [
+  { color: '#1b9e77', text: 'Low', pattern: 'hatch' },
+  { color: '#d95f02', text: 'High', pattern: 'dots' },
+];
+
+const props = { data, colorLegend, legend: true, width: 400, height: 300, duration: 0 };
+
+const unique = matches => [ ...new Set([ ...matches ].map(m => m[1])) ].sort();
+const fillIds = markup => unique(markup.matchAll(/<pattern[^>]* id="([^"]+)"/g));
+const fillRefs = markup => unique(markup.matchAll(/url\(#([^)]+)\)/g));
+
+test.serial('the server renders the fills with the ids of the mounted chart', t => {
+  const markup = ReactDOMServer.renderToStaticMarkup(<ReactBubbleChart {...props} idPrefix="sales-"/>);
+  const ids = fillIds(markup);
+  t.is(ids.length, 2);
+  t.true(ids.every(id => id.startsWith('sales-')));
+  t.deepEqual(fillRefs(markup), ids);
+
+  const host = document.createElement('div');
+  document.body.append(host);
+  ReactDOM.render(<ReactBubbleChart {...props} idPrefix="sales-"/>, host);
+  t.deepEqual(fillIds(host.innerHTML), ids);
+  t.deepEqual(fillRefs(host.innerHTML), ids);
+
+  ReactDOM.unmountComponentAtNode(host);
+  host.remove();
+});
+
+test.serial('charts rendered on the server don\'t share fill ids', t => {
+  const first = fillIds(ReactDOMServer.renderToStaticMarkup(<ReactBubbleChart {...props}/>));
+  const second = fillIds(ReactDOMServer.renderToStaticMarkup(<ReactBubbleChart {...props}/>));
+  t.is(first.length, 2);
+  t.is(second.length, 2);
+  t.false(first.some(id => second.includes(id)));
+});
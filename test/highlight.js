@@ -0,0 +1,68 @@
+/* global document */
+import test from 'ava';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import ReactBubbleChart from '../src/ReactBubbleChart';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const data = [ 'a', 'b', 'c' ].map((_id, i) => ({ _id, value: i + 1 }));
+
+const render = (host, props) => {
+  ReactDOM.render(<ReactBubbleChart data={data} duration={0} highlightOpacity={0.3} {...props}/>, host);
+};
+
+test.serial('faded labels can\'t be hovered, clicked or tabbed to', t => {
+  const host = document.createElement('div');
+  document.body.append(host);
+  render(host, {});
+  // Highlighting only restyles the bubbles
+  render(host, { highlight: [ 'b' ] });
+  const label = id => [ ...host.querySelectorAll('.bubble-label') ].find(l => l.__data__.id === id);
+
+  t.is(label('a').style.pointerEvents, 'none');
+  t.is(label('a').getAttribute('tabindex'), '-1');
+  t.is(label('b').style.pointerEvents, '');
+  t.is(label('b').getAttribute('tabindex'), '0');
+
+  render(host, { highlight: null });
+  t.is(label('a').style.pointerEvents, '');
+
+  ReactDOM.unmountComponentAtNode(host);
+  host.remove();
+});
+
+test.serial('the export fades the bubbles like the chart', t => {
+  const host = document.createElement('div');
+  document.body.append(host);
+  const chart = React.createRef();
+  render(host, { highlight: [ 'b' ], ref: chart });
+  const svg = chart.current.exportSVG();
+  const opacities = [ ...svg.matchAll(/<circle[^>]*opacity: ([\d.]+)/g) ].map(m => Number(m[1])).sort();
+  t.deepEqual(opacities, [ 0.3, 0.3, 1 ]);
+
+  ReactDOM.unmountComponentAtNode(host);
+  host.remove();
+});
+
+test.serial('fading the bubbles is a transition of its own', async t => {
+  const host = document.createElement('div');
+  document.body.append(host);
+  const transitions = [];
+  const callbacks = {
+    duration: 100,
+    onTransitionStart: () => transitions.push('start'),
+    onTransitionEnd: () => transitions.push('end'),
+  };
+  render(host, callbacks);
+  await wait(200);
+  transitions.length = 0;
+
+  render(host, { ...callbacks, highlight: [ 'b' ] });
+  t.deepEqual(transitions, [ 'start' ]);
+  await wait(100);
+  t.deepEqual(transitions, [ 'start', 'end' ]);
+
+  ReactDOM.unmountComponentAtNode(host);
+  host.remove();
+});
@@ -0,0 +1,37 @@
+/* global document */
+import test from 'ava';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import ReactBubbleChart from '../src/ReactBubbleChart';
+
+const data = [ 'alpha', 'beta', 'gamma' ].map((_id, i) => ({ _id, value: (i + 1) * 10 }));
+
+test.serial('switching from fitted labels to labelComponent takes the fitted lines out', t => {
+  const host = document.createElement('div');
+  document.body.append(host);
+  ReactDOM.render(<ReactBubbleChart labelFit data={data} width={400} height={400} duration={0}/>, host);
+  t.true(host.querySelectorAll('.bubble-label-line').length > 0);
+
+  const Label = ({ d }) => <span className="custom">{d.id}</span>;
+  ReactDOM.render(<ReactBubbleChart labelFit data={data} width={400} height={400} duration={0} labelComponent={Label}/>, host);
+  t.is(host.querySelectorAll('.bubble-label-line, .bubble-label-value').length, 0);
+  t.deepEqual([ ...host.querySelectorAll('.custom') ].map(l => l.textContent).sort(), [ 'alpha', 'beta', 'gamma' ]);
+
+  ReactDOM.unmountComponentAtNode(host);
+  host.remove();
+});
+
+test.serial('the labels follow a change of labelAccessor', t => {
+  const host = document.createElement('div');
+  document.body.append(host);
+  const named = data.map(d => ({ ...d, name: d._id.toUpperCase() }));
+  const texts = () => [ ...host.querySelectorAll('.bubble-label') ].map(l => l.textContent).sort();
+  ReactDOM.render(<ReactBubbleChart data={named} duration={0}/>, host);
+  t.deepEqual(texts(), [ 'alpha', 'beta', 'gamma' ]);
+
+  ReactDOM.render(<ReactBubbleChart data={named} duration={0} labelAccessor="name"/>, host);
+  t.deepEqual(texts(), [ 'ALPHA', 'BETA', 'GAMMA' ]);
+
+  ReactDOM.unmountComponentAtNode(host);
+  host.remove();
+});
@@ -0,0 +1,81 @@
+/* global window, document */
+import test from 'ava';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import ReactBubbleChart from '../src/ReactBubbleChart';
+
+const mouse = (target, type, x, y) => target.dispatchEvent(new window.MouseEvent(type, {
+  bubbles: true,
+  button: 0,
+  clientX: x,
+  clientY: y,
+}));
+
+// Draws a lasso around the whole chart, starting on target. Jsdom has no
+// layout, so where the drag starts is up to the target of the events.
+const drag = target => {
+  mouse(target, 'mousedown', 0, 0);
+  for (const [ px, py ] of [ [ 400, 0 ], [ 400, 300 ], [ 0, 300 ] ]) {
+    mouse(window, 'mousemove', px, py);
+  }
+
+  mouse(window, 'mouseup', 0, 300);
+  mouse(target, 'click', 0, 300);
+};
+
+const render = props => {
+  const host = document.createElement('div');
+  document.body.append(host);
+  const events = [];
+  ReactDOM.render(
+    <ReactBubbleChart
+      selectionMode="lasso"
+      duration={0}
+      onClick={d => events.push([ 'click', d.id ])}
+      onFocusChange={id => events.push([ 'focus', id ])}
+      onSelectionChange={ids => events.push([ 'select', ids ])}
+      {...props}
+    />,
+    host,
+  );
+  const html = host.querySelector('.bubble-chart-text');
+  const label = id => [ ...html.querySelectorAll('.bubble-label') ].find(l => l.__data__.id === id);
+  const cleanup = () => {
+    ReactDOM.unmountComponentAtNode(host);
+    host.remove();
+  };
+
+  return { html, label, events, cleanup };
+};
+
+test.serial('a lasso starts in the gaps between the bubbles', t => {
+  const data = [ 'a', 'b', 'c' ].map(_id => ({ _id, value: 1 }));
+  const { html, events, cleanup } = render({ data });
+  // Nothing but the bubbles covers the chart
+  t.deepEqual([ ...html.querySelectorAll('.bubble-label') ].map(l => l.__data__.id), [ 'a', 'b', 'c' ]);
+  drag(html);
+  t.deepEqual(events, [ [ 'select', [ 'a', 'b', 'c' ] ] ]);
+  cleanup();
+});
+
+test.serial('a lasso doesn\'t start on a bubble', t => {
+  const data = [ 'a', 'b', 'c' ].map(_id => ({ _id, value: 1 }));
+  const { label, events, cleanup } = render({ data });
+  drag(label('a'));
+  t.deepEqual(events, [ [ 'click', 'a' ] ]);
+  cleanup();
+});
+
+test.serial('a lasso starts on the circle of a parent, without clicking it', t => {
+  const data = {
+    _id: 'root',
+    children: [
+      { _id: 'left', children: [ { _id: 'a', value: 1 }, { _id: 'b', value: 2 } ] },
+      { _id: 'right', children: [ { _id: 'c', value: 3 } ] },
+    ],
+  };
+  const { label, events, cleanup } = render({ data, hierarchical: true, zoomable: true });
+  drag(label('left'));
+  t.deepEqual(events, [ [ 'select', [ 'left', 'right', 'a', 'b', 'c' ] ] ]);
+  cleanup();
+});
@@ -0,0 +1,39 @@
+/* global window, document */
+import test from 'ava';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import ReactBubbleChart from '../src/ReactBubbleChart';
+
+const pointer = (target, type) => target.dispatchEvent(new window.MouseEvent(type, { bubbles: true }));
+
+test.serial('hovering a bubble in the force layout shows its tooltip without moving anything', t => {
+  const host = document.createElement('div');
+  document.body.append(host);
+  const transitions = [];
+  const data = [ 'a', 'b', 'c', 'd' ].map((_id, i) => ({ _id, value: i + 1 }));
+  ReactDOM.render(
+    <ReactBubbleChart
+      tooltip
+      data={data}
+      layout="force"
+      duration={0}
+      tooltipFunc={(node, d) => {
+        node.textContent = d.id;
+      }}
+      onTransitionStart={() => transitions.push('start')}
+    />,
+    host,
+  );
+  const labels = [ ...host.querySelectorAll('.bubble-label') ];
+  const positions = () => labels.map(l => [ l.__data__.x, l.__data__.y, l.style.left, l.style.top ]);
+  const before = positions();
+  transitions.length = 0;
+
+  pointer(labels[1], 'pointerover');
+  t.is(host.querySelector('.bubble-chart-tooltip').textContent, 'b');
+  t.deepEqual(positions(), before);
+  t.deepEqual(transitions, []);
+
+  ReactDOM.unmountComponentAtNode(host);
+  host.remove();
+});